@@ -4,8 +4,9 @@
  * Demonstrates hysteresis: asymmetry between entering and exiting a state.
  * 
  * Setup:
- *   - Pre-built landscape with a valley (attractor) on the left
- *   - Ball starts on a ridge to the right of the valley
+ *   - Landscape loaded from landscapes/act1-trap.json: a valley (attractor)
+ *     on the left
+ *   - Ball starts on a ridge to the right of the valley (the file's start)
  * 
  * Mechanic:
  *   - Click near the ball to NUDGE it in that direction
@@ -16,11 +17,18 @@
  */
 
 class Act1Trap {
+    static LANDSCAPE_URL = 'landscapes/act1-trap.json';
+
     constructor() {
         this.canvas = null;
         this.ctx = null;
         this.grid = null;
         this.ball = null;
+        this.clock = new SimulationClock(); // Fixed-step time for physics and timers
+        this.editor = null; // LandscapeEditor, attached by the app with ?editor
+        this.renderer = null; // LandscapeRenderer for the board
+        this.viewMode = 'flat'; // 'flat' or '3d', kept across inits
+        this.landscape = null; // Parsed LANDSCAPE_URL, fetched on the first init
 
         // State
         this.phase = 1;  // 1 = nudge in, 2 = nudge out
@@ -31,7 +39,7 @@ class Act1Trap {
         this.ballInValley = false;
         this.ballEscaped = false;
 
-        // Valley center position
+        // Valley center position in the landscape file
         this.valleyCol = 7;
         this.valleyRow = 5;
 
@@ -56,12 +64,16 @@ class Act1Trap {
         this.onComplete = null;
     }
 
-    init(canvasId) {
+    /**
+     * Set up the act on a canvas. Resolves once the landscape has loaded.
+     */
+    async init(canvasId) {
         this.canvas = document.getElementById(canvasId);
         if (!this.canvas) {
             console.error(`Canvas ${canvasId} not found`);
             return;
         }
+        this.clock.reset();
 
         this.ctx = this.canvas.getContext('2d');
 
@@ -74,12 +86,24 @@ class Act1Trap {
         this.canvas.width = isMobile ? Math.min(window.innerWidth - 40, 450) : 650;
         this.canvas.height = isMobile ? Math.min(window.innerHeight * 0.6, 500) : 450;
 
-        // Build the landscape with a pre-made valley
-        this._buildLandscape();
+        // Load the landscape with its pre-made valley
+        try {
+            this.landscape = this.landscape || await HexGrid.fetchJSON(Act1Trap.LANDSCAPE_URL);
+        } catch (err) {
+            console.error(`Act 1 landscape failed to load: ${err.message}`);
+            return;
+        }
+        this.grid.loadJSON(this.landscape);
+
+        // Draw the board flat or in 3D
+        this.renderer = new LandscapeRenderer(this.grid, { mode: this.viewMode });
+        LandscapeRenderer.bindToggle(document.getElementById('act1-view'), this.viewMode, (mode) => {
+            this.viewMode = mode;
+            this.renderer.setMode(mode);
+        });
 
         // Create ball and enable discrete mode
-        const startCol = 10;
-        const startRow = 5;
+        const { col: startCol, row: startRow } = this.landscape.start;
         this.ball = new Ball(this.grid, startCol, startRow);
         this.ball.isDiscreteMode = true;
 
@@ -109,30 +133,6 @@ class Act1Trap {
         this._showPhaseInstructions(1);
     }
 
-    _buildLandscape() {
-        // Build 3-layer valley (Level 1, 2, 3 shades of green)
-        // Center: Level 1 (-3) - darkest green
-        const center = this.grid.getHex(this.valleyCol, this.valleyRow);
-        if (center) center.elevation = -3;
-
-        // Ring 1: Level 2 (-2) - dark green
-        const ring1 = this.grid.getNeighbors(this.valleyCol, this.valleyRow);
-        const ring1Set = new Set(ring1);
-        for (const n of ring1) {
-            if (!n.isRuin) n.elevation = -2;
-        }
-
-        // Ring 2: Level 3 (-1) - medium green
-        for (const n of ring1) {
-            for (const nn of this.grid.getNeighbors(n.col, n.row)) {
-                // If not center and not already in ring1, make it level 3
-                if (nn !== center && !ring1Set.has(nn) && !nn.isRuin) {
-                    nn.elevation = -1;
-                }
-            }
-        }
-    }
-
     _setupEventListeners() {
         const handleClick = (e) => {
             e.preventDefault();
@@ -152,11 +152,10 @@ class Act1Trap {
             x *= this.canvas.width / rect.width;
             y *= this.canvas.height / rect.height;
 
-            // Convert click to world coordinates using camera offset
-            this._handleHexClick(x + this.viewOffset.x, y + this.viewOffset.y);
+            this._handleHexClick(x, y);
 
             // For mobile/touch: maintain the highlight briefly so they see where they tapped
-            const hex = this.grid.getHexAtPixel(x + this.viewOffset.x, y + this.viewOffset.y);
+            const hex = this.renderer.hexAt(x, y, this.viewOffset);
             if (hex) {
                 this._highlightHexBriefly(hex);
             }
@@ -177,7 +176,7 @@ class Act1Trap {
             x *= this.canvas.width / rect.width;
             y *= this.canvas.height / rect.height;
 
-            const hex = this.grid.getHexAtPixel(x + this.viewOffset.x, y + this.viewOffset.y);
+            const hex = this.renderer.hexAt(x, y, this.viewOffset);
             if (hex) {
                 // Clear previous highlights
                 for (const cell of this.grid.getAllCells()) {
@@ -220,7 +219,7 @@ class Act1Trap {
             }
 
             const currentHex = this.ball.getCurrentHex();
-            const hex = this.grid.getHexAtPixel(x + this.viewOffset.x, y + this.viewOffset.y);
+            const hex = this.renderer.hexAt(x, y, this.viewOffset);
 
             if (hex) {
                 hex.isHighlighted = true;
@@ -247,7 +246,8 @@ class Act1Trap {
     _handleHexClick(clickX, clickY) {
         if (this.ball.isMovingDiscrete()) return;
 
-        const hex = this.grid.getHexAtPixel(clickX, clickY);
+        // The renderer maps canvas to board using the camera offset
+        const hex = this.renderer.hexAt(clickX, clickY, this.viewOffset);
         if (!hex) return;
 
         const currentHex = this.ball.getCurrentHex();
@@ -305,11 +305,11 @@ class Act1Trap {
         this.ball.y += dy * 0.1;
 
         // Snap back after a frame or two? Ball.moveTo will handle it better if we just do a tiny pulse
-        setTimeout(() => {
+        this.clock.after(50, () => {
             const resetPos = this.grid.hexToPixel(this.ball.getCurrentHex().col, this.ball.getCurrentHex().row);
             this.ball.x = resetPos.x;
             this.ball.y = resetPos.y;
-        }, 50);
+        });
     }
 
     _moveBallToHex(hex) {
@@ -323,14 +323,13 @@ class Act1Trap {
         }
 
         this.ball.moveTo(hex.col, hex.row, 400);
-        this.lastMoveTime = Date.now();
+        this.lastMoveTime = this.clock.time;
     }
 
     _checkAutoRoll(dt) {
         if (this.ball.isMovingDiscrete()) return;
 
-        const now = Date.now();
-        if (now - this.lastMoveTime < this.autoRollDelay) return;
+        if (this.clock.time - this.lastMoveTime < this.autoRollDelay) return;
 
         const currentHex = this.ball.getCurrentHex();
         if (!currentHex) return;
@@ -395,8 +394,10 @@ class Act1Trap {
         const currentHex = this.ball.getCurrentHex();
         if (!currentHex) return;
 
-        // Check if ball is in the valley
-        const inValley = currentHex.elevation === -3;
+        // Check if ball has reached the floor of the valley (the analysis is
+        // cached until the landscape changes)
+        const valley = this.grid.analyzeBasins().basinAt(this.valleyCol, this.valleyRow);
+        const inValley = valley.floor.includes(currentHex);
 
         // Phase 1: Waiting for ball to fall into valley
         if (this.phase === 1 && !this.ballInValley) {
@@ -407,8 +408,8 @@ class Act1Trap {
 
         // Phase 2: Waiting for ball to escape valley
         if (this.phase === 2 && !this.ballEscaped) {
-            // Ball escaped if it reached ANY Level 4 tile (elevation 0)
-            if (currentHex.elevation === 0) {
+            // Ball escaped once it climbed to where the valley spills over
+            if (currentHex.elevation >= valley.spillElevation) {
                 this._onBallEscaped();
             }
         }
@@ -464,19 +465,19 @@ class Act1Trap {
 
         // Remove existing timeout if any
         if (this.highlightTimeout) {
-            clearTimeout(this.highlightTimeout);
+            this.clock.cancel(this.highlightTimeout);
         }
 
-        this.highlightTimeout = setTimeout(() => {
+        this.highlightTimeout = this.clock.after(600, () => {
             hex.isHighlighted = false;
-        }, 600);
+        });
     }
 
     _showErrorBriefly(hex) {
         hex.isError = true;
-        setTimeout(() => {
+        this.clock.after(500, () => {
             hex.isError = false;
-        }, 500);
+        });
     }
 
     _showPhaseInstructions(phase) {
@@ -497,16 +498,11 @@ class Act1Trap {
     _startAnimation() {
         const animate = (timestamp) => {
             this.animationId = requestAnimationFrame(animate);
-
-            const dt = timestamp - this.lastTime;
-            this.lastTime = timestamp;
-
-            this._update(dt);
+            this.clock.frame(timestamp, (dt) => this._update(dt));
             this._draw();
         };
-
-        this.lastTime = performance.now();
-        animate(this.lastTime);
+        this.clock.sync();
+        animate(performance.now());
     }
 
     _update(dt) {
@@ -528,10 +524,12 @@ class Act1Trap {
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
         // Draw grid with camera offset
-        this.grid.draw(this.ctx, this.viewOffset);
+        this.renderer.drawGrid(this.ctx, this.viewOffset);
 
         // Draw ball with camera offset
-        this.ball.draw(this.ctx, true, this.viewOffset);
+        this.renderer.drawBall(this.ctx, this.ball, { viewOffset: this.viewOffset, alpha: this.clock.alpha });
+
+        if (this.editor) this.editor.draw(this.ctx, this.viewOffset);
 
         // Draw phase indicator
         if (!this.isComplete) {
@@ -566,8 +564,7 @@ class Act1Trap {
 
             // Visual feedback for transient stability
             if (this.isTransient && this.transientTimer > 0) {
-                const drawX = this.ball.x - this.viewOffset.x;
-                const drawY = this.ball.y - this.viewOffset.y;
+                const { x: drawX, y: drawY } = this.renderer.project(this.ball.x, this.ball.y, this.viewOffset);
 
                 this.ctx.beginPath();
                 this.ctx.arc(drawX, drawY, this.ball.radius + 6, 0, Math.PI * 2);
@@ -594,13 +591,11 @@ class Act1Trap {
     reset() {
         this.stop();
 
-        // Reset grid and rebuild landscape
-        this.grid.reset();
-        this._buildLandscape();
+        // Reload the landscape, undoing any edits
+        this.grid.loadJSON(this.landscape);
 
         // Reset ball to start position
-        const startCol = 10;
-        const startRow = 5;
+        const { col: startCol, row: startRow } = this.landscape.start;
         this.ball.reset(startCol, startRow);
         this.ball.isDiscreteMode = true;
 
@@ -14,27 +14,53 @@
  */
 
 class Act2Tipping {
+    // What each kind of noise feels like (see NoiseProcess)
+    static NOISE_DESCRIPTIONS = {
+        kicks: 'Kicks of similar size, at random moments.',
+        white: 'A constant jitter with no memory.',
+        red: 'Pushes that linger like wind, so the ball drifts before the push changes.',
+        shocks: 'Mostly small shocks, but now and then one far bigger than anything before.',
+        levy: 'Long calm spells broken by shocks so big they dwarf everything else.',
+        bursty: 'Shocks come in clusters: one makes the next more likely.'
+    };
+
+    static SHOCK_MARK_SPEED = 3; // Shocks leaving the ball at least this fast are marked on the chart
+
     constructor() {
         // Grid A: N-Tipping (noise-induced)
         this.canvasA = null;
         this.ctxA = null;
         this.gridA = null;
         this.ballA = null;
+        this.ensembleA = null; // Cloud of balls estimating the odds of ruin
+        this.chartA = null;    // TimeSeriesChart of speed and the odds of ruin
+        this.editor = null; // LandscapeEditor, attached by the app with ?editor
+        this.rendererA = null; // LandscapeRenderer for Grid A
+        this.overlaysA = null; // LandscapeOverlays: flow arrows, contours, streamlines
 
         // Grid B: B-Tipping (bifurcation-induced)
         this.canvasB = null;
         this.ctxB = null;
         this.gridB = null;
         this.ballB = null;
+        this.chartB = null; // TimeSeriesChart of the barrier and the wobble
+        this.barrierB = null; // { revision, hex, height } last found by _barrierHeightB()
+        this.profileB = null; // ProfileView: side view through the ball and the ruin
+        this.rendererB = null; // LandscapeRenderer for Grid B
+        this.overlaysB = null;
 
         // State
         this.noiseLevel = 0;
+        this.noiseType = 'kicks'; // See NoiseProcess.TYPES
+        this.showEnsemble = false;
+        this.viewMode = '3d'; // 'flat' or '3d' for both grids; valleys and rims read best in 3D
         this.erosionCount = 0;
         this.nTipped = false;
         this.bTipped = false;
 
         // Animation
         this.animationId = null;
+        this.clock = new SimulationClock(); // Fixed-step time for physics and timers
 
         // Callbacks
         this.onNTip = null;
@@ -46,8 +72,18 @@ class Act2Tipping {
      * Initialize both grids
      */
     init(canvasAId, canvasBId) {
+        this.clock.reset();
         this._initGridA(canvasAId);
         this._initGridB(canvasBId);
+        LandscapeRenderer.bindToggle(document.getElementById('act2-view'), this.viewMode, (mode) => {
+            this.viewMode = mode;
+            if (this.rendererA) this.rendererA.setMode(mode);
+            if (this.rendererB) this.rendererB.setMode(mode);
+        });
+        LandscapeOverlays.bindToggles(
+            document.getElementById('act2-overlays'),
+            [this.overlaysA, this.overlaysB].filter(Boolean)
+        );
         this._setupControlListeners();
         this._startAnimation();
     }
@@ -73,10 +109,51 @@ class Act2Tipping {
 
         // Create a valley with the ball
         this._setupValleyWithRuin(this.gridA);
+        this.rendererA = new LandscapeRenderer(this.gridA, { mode: this.viewMode });
+        this.overlaysA = new LandscapeOverlays(this.gridA);
 
         // Place ball in valley
         const valleyCenter = this.gridA.getHex(2, 1);
-        this.ballA = new Ball(this.gridA, valleyCenter.q, valleyCenter.r);
+        this.ballA = new Ball(this.gridA, valleyCenter.col, valleyCenter.row);
+        this.ballA.random = window.rng.stream('act2:ballA');
+        this.ballA.setNoiseType(this.noiseType);
+        this.ballA.onPerturbation = (ball) => {
+            if (this.chartA && Math.hypot(ball.vx, ball.vy) >= Act2Tipping.SHOCK_MARK_SPEED) {
+                this.chartA.mark(this.clock.time, '', '#E8A838');
+            }
+        };
+
+        const chartCanvas = document.getElementById('act2a-chart');
+        if (chartCanvas) {
+            this.chartA = new TimeSeriesChart(chartCanvas, {
+                width: this.canvasA.width,
+                series: [
+                    {
+                        label: 'Speed',
+                        color: '#4A90D9',
+                        min: 0,
+                        value: () => Math.hypot(this.ballA.vx, this.ballA.vy)
+                    },
+                    {
+                        label: 'Futures in ruin',
+                        color: '#E84855',
+                        min: 0,
+                        max: 1,
+                        value: () => this.showEnsemble && this.ensembleA ? this.ensembleA.getRuinFraction() : null,
+                        format: v => `${Math.round(v * 100)}%`
+                    }
+                ]
+            });
+        }
+
+        // A fresh grid needs a fresh ensemble
+        this.ensembleA = this.showEnsemble
+            ? new BallEnsemble(this.gridA, valleyCenter.col, valleyCenter.row, {
+                noiseLevel: this.noiseLevel,
+                noiseType: this.noiseType,
+                stream: 'act2:ensemble'
+            })
+            : null;
     }
 
     /**
@@ -100,11 +177,59 @@ class Act2Tipping {
 
         // Create a valley with the ball
         this._setupValleyWithRuin(this.gridB);
+        this.rendererB = new LandscapeRenderer(this.gridB, { mode: this.viewMode });
+        this.overlaysB = new LandscapeOverlays(this.gridB);
 
         // Place ball in valley
         const valleyCenter = this.gridB.getHex(2, 1);
-        this.ballB = new Ball(this.gridB, valleyCenter.q, valleyCenter.r);
+        this.ballB = new Ball(this.gridB, valleyCenter.col, valleyCenter.row);
+        this.ballB.random = window.rng.stream('act2:ballB');
         this.ballB.noiseLevel = 0.05; // Very low noise for B scenario
+
+        const profileCanvas = document.getElementById('act2b-profile');
+        if (profileCanvas) {
+            this.profileB = new ProfileView(profileCanvas, this.gridB, {
+                ball: this.ballB,
+                width: this.canvasB.width
+            });
+        }
+
+        const chartCanvas = document.getElementById('act2b-chart');
+        if (chartCanvas) {
+            this.chartB = new TimeSeriesChart(chartCanvas, {
+                width: this.canvasB.width,
+                series: [
+                    {
+                        label: 'Barrier height',
+                        color: '#45B7A0',
+                        min: 0,
+                        value: () => this._barrierHeightB()
+                    },
+                    {
+                        label: 'Std. deviation',
+                        color: '#4A90D9',
+                        min: 0,
+                        value: () => this.ballB.warnings.isReady() ? Math.sqrt(this.ballB.warnings.variance) : null
+                    }
+                ]
+            });
+        }
+    }
+
+    /**
+     * Climb left between Grid B's ball and ruin (see TippingAnalysis),
+     * searched again only when the ball changes hex or the ground changes
+     */
+    _barrierHeightB() {
+        const hex = this.ballB.getCurrentHex();
+        if (!hex || this.ballB.isInRuin) return null;
+
+        const cached = this.barrierB;
+        if (!cached || cached.hex !== hex || cached.revision !== this.gridB.revision) {
+            const height = this.gridB.findTippingPoint(hex.col, hex.row, { ruinOnly: true }).barrierHeight;
+            this.barrierB = { revision: this.gridB.revision, hex, height };
+        }
+        return this.barrierB.height;
     }
 
     /**
@@ -117,13 +242,13 @@ class Act2Tipping {
         // Place ruin on right side
         const ruinHex = grid.getHex(4, 0);
         if (ruinHex) {
-            grid.setRuin(ruinHex.q, ruinHex.r);
+            grid.setRuin(ruinHex.col, ruinHex.row);
         }
 
         // Create a slight ridge between valley and ruin
         const ridgeHex = grid.getHex(3, 0);
         if (ridgeHex) {
-            ridgeHex.elevation = 1;
+            grid.setElevation(ridgeHex.col, ridgeHex.row, 1);
         }
     }
 
@@ -143,6 +268,71 @@ class Act2Tipping {
                 if (this.ballA) {
                     this.ballA.noiseLevel = this.noiseLevel;
                 }
+
+                // Start the odds over at the new noise level
+                if (this.ensembleA) {
+                    this.ensembleA.setNoiseLevel(this.noiseLevel);
+                    this._resetEnsemble();
+                }
+            });
+        }
+
+        // Kind of noise for Grid A
+        const noiseType = document.getElementById('noise-type');
+        if (noiseType) {
+            noiseType.value = this.noiseType;
+            this._updateNoiseDescription();
+            noiseType.addEventListener('change', () => {
+                this.noiseType = noiseType.value;
+                this._updateNoiseDescription();
+
+                if (this.ballA) {
+                    this.ballA.setNoiseType(this.noiseType);
+                }
+
+                // Start the odds over with the new noise
+                if (this.ensembleA) {
+                    this.ensembleA.setNoiseType(this.noiseType);
+                    this._resetEnsemble();
+                }
+            });
+        }
+
+        // Ensemble toggle for Grid A
+        const ensembleToggle = document.getElementById('ensemble-toggle');
+        if (ensembleToggle) {
+            ensembleToggle.addEventListener('change', () => {
+                this.showEnsemble = ensembleToggle.checked;
+                if (this.showEnsemble) {
+                    if (!this.ensembleA) {
+                        this.ensembleA = new BallEnsemble(this.gridA, 2, 1, {
+                            noiseLevel: this.noiseLevel,
+                            noiseType: this.noiseType,
+                            stream: 'act2:ensemble'
+                        });
+                    } else {
+                        this._resetEnsemble();
+                    }
+                }
+                this._updateEnsembleReadout();
+            });
+        }
+
+        // Clicking Grid B turns the side view towards that hex
+        if (this.canvasB && this.profileB) {
+            this.canvasB.addEventListener('click', (e) => {
+                const rect = this.canvasB.getBoundingClientRect();
+                const x = (e.clientX - rect.left) * (this.canvasB.width / rect.width);
+                const y = (e.clientY - rect.top) * (this.canvasB.height / rect.height);
+                const hex = this.rendererB.hexAt(x, y);
+                const ballHex = this.ballB.getCurrentHex();
+                if (!hex || !ballHex) return;
+
+                if (hex === ballHex) {
+                    this.profileB.followBall();
+                } else {
+                    this.profileB.setLine(ballHex, hex);
+                }
             });
         }
 
@@ -156,6 +346,7 @@ class Act2Tipping {
 
                 // Apply erosion to Grid B
                 this.gridB.applyErosion(0.5);
+                if (this.chartB) this.chartB.mark(this.clock.time, 'erosion');
 
                 // Update display
                 if (erosionCountEl) {
@@ -163,9 +354,10 @@ class Act2Tipping {
                 }
 
                 // Add a small perturbation to show the effect
+                const random = window.rng.stream('act2:erosion');
                 this.ballB.applyImpulse(
-                    (Math.random() - 0.5) * 2,
-                    (Math.random() - 0.5) * 2
+                    (random.next() - 0.5) * 2,
+                    (random.next() - 0.5) * 2
                 );
             });
         }
@@ -175,21 +367,22 @@ class Act2Tipping {
      * Animation loop
      */
     _startAnimation() {
-        const animate = () => {
+        const animate = (timestamp) => {
             this.animationId = requestAnimationFrame(animate);
-            this._update();
+            this.clock.frame(timestamp, (dt) => this._update(dt));
             this._draw();
         };
-        animate();
+        this.clock.sync();
+        animate(performance.now());
     }
 
     /**
      * Update physics
      */
-    _update() {
+    _update(dt) {
         // Update both balls
         if (this.ballA) {
-            this.ballA.update();
+            this.ballA.update(dt);
 
             // Check for N-tipping
             if (!this.nTipped && this.ballA.isInRuin) {
@@ -197,14 +390,58 @@ class Act2Tipping {
             }
         }
 
+        if (this.showEnsemble && this.ensembleA) {
+            this.ensembleA.update(dt);
+            this._updateEnsembleReadout();
+        }
+
         if (this.ballB) {
-            this.ballB.update();
+            this.ballB.update(dt);
 
             // Check for B-tipping
             if (!this.bTipped && this.ballB.isInRuin) {
                 this._handleBTip();
             }
         }
+
+        if (this.chartA) this.chartA.sample(this.clock.time);
+        if (this.chartB) this.chartB.sample(this.clock.time);
+    }
+
+    /**
+     * Put the ensemble back in the valley
+     */
+    _resetEnsemble() {
+        const valleyCenter = this.gridA.getHex(2, 1);
+        this.ensembleA.reset(valleyCenter.col, valleyCenter.row);
+    }
+
+    /**
+     * Describe the selected kind of noise under the picker
+     */
+    _updateNoiseDescription() {
+        const description = document.getElementById('noise-description');
+        if (description) {
+            description.textContent = Act2Tipping.NOISE_DESCRIPTIONS[this.noiseType] || '';
+        }
+    }
+
+    /**
+     * Show the live share of the ensemble lost to ruin
+     */
+    _updateEnsembleReadout() {
+        const readout = document.getElementById('ensemble-readout');
+        if (!readout) return;
+
+        let text = '';
+        if (this.showEnsemble && this.ensembleA) {
+            const lost = this.ensembleA.getRuinCount();
+            const percent = Math.round(this.ensembleA.getRuinFraction() * 100);
+            text = `In ruin: ${percent}% (${lost}/${this.ensembleA.count})`;
+        }
+        if (readout.textContent !== text) {
+            readout.textContent = text;
+        }
     }
 
     /**
@@ -212,6 +449,7 @@ class Act2Tipping {
      */
     _handleNTip() {
         this.nTipped = true;
+        if (this.chartA) this.chartA.mark(this.clock.time, 'tipped', '#E84855');
 
         // Show label
         const label = document.getElementById('n-tip-label');
@@ -221,7 +459,8 @@ class Act2Tipping {
 
         if (this.onNTip) {
             this.onNTip({
-                noiseLevel: this.noiseLevel
+                noiseLevel: this.noiseLevel,
+                noiseType: this.noiseType
             });
         }
 
@@ -233,6 +472,7 @@ class Act2Tipping {
      */
     _handleBTip() {
         this.bTipped = true;
+        if (this.chartB) this.chartB.mark(this.clock.time, 'tipped', '#E84855');
 
         // Show label
         const label = document.getElementById('b-tip-label');
@@ -273,21 +513,33 @@ class Act2Tipping {
         if (this.ctxA && this.gridA) {
             this.ctxA.fillStyle = '#FAFAFA';
             this.ctxA.fillRect(0, 0, this.canvasA.width, this.canvasA.height);
-            this.gridA.draw(this.ctxA);
+            this.rendererA.drawGrid(this.ctxA);
+            this.overlaysA.draw(this.ctxA, (x, y) => this.rendererA.project(x, y));
+            if (this.showEnsemble && this.ensembleA) {
+                this.rendererA.drawEnsemble(this.ctxA, this.ensembleA);
+            }
             if (this.ballA) {
-                this.ballA.draw(this.ctxA, true);
+                this.rendererA.drawBall(this.ctxA, this.ballA, { alpha: this.clock.alpha });
             }
+            if (this.editor) this.editor.draw(this.ctxA);
         }
+        if (this.chartA) this.chartA.draw();
 
         // Draw Grid B
         if (this.ctxB && this.gridB) {
             this.ctxB.fillStyle = '#FAFAFA';
             this.ctxB.fillRect(0, 0, this.canvasB.width, this.canvasB.height);
-            this.gridB.draw(this.ctxB);
+            this.rendererB.drawGrid(this.ctxB);
+            this.overlaysB.draw(this.ctxB, (x, y) => this.rendererB.project(x, y));
+            if (this.profileB) {
+                this.profileB.drawLineOnGrid(this.ctxB, { x: 0, y: 0 }, (x, y) => this.rendererB.project(x, y));
+            }
             if (this.ballB) {
-                this.ballB.draw(this.ctxB, true);
+                this.rendererB.drawBall(this.ctxB, this.ballB, { alpha: this.clock.alpha });
             }
         }
+        if (this.profileB) this.profileB.draw();
+        if (this.chartB) this.chartB.draw();
     }
 
     /**
@@ -298,10 +550,17 @@ class Act2Tipping {
         this._setupValleyWithRuin(this.gridA);
 
         const valleyCenter = this.gridA.getHex(2, 1);
-        this.ballA.reset(valleyCenter.q, valleyCenter.r);
+        this.ballA.reset(valleyCenter.col, valleyCenter.row);
         this.ballA.noiseLevel = this.noiseLevel;
 
+        if (this.ensembleA) {
+            this.ensembleA.setNoiseLevel(this.noiseLevel);
+            this._resetEnsemble();
+            this._updateEnsembleReadout();
+        }
+
         this.nTipped = false;
+        if (this.chartA) this.chartA.reset();
         const label = document.getElementById('n-tip-label');
         if (label) label.style.display = 'none';
     }
@@ -316,10 +575,12 @@ class Act2Tipping {
         this._setupValleyWithRuin(this.gridB);
 
         const valleyCenter = this.gridB.getHex(2, 1);
-        this.ballB.reset(valleyCenter.q, valleyCenter.r);
+        this.ballB.reset(valleyCenter.col, valleyCenter.row);
         this.ballB.noiseLevel = 0.05;
 
         this.bTipped = false;
+        if (this.chartB) this.chartB.reset();
+        if (this.profileB) this.profileB.followBall();
         const label = document.getElementById('b-tip-label');
         if (label) label.style.display = 'none';
 
@@ -1,24 +1,58 @@
 /**
  * Act 3: Reading the Wobble - Early Warning Signals
  * 
- * This act teaches players to recognize early warning signals of tipping:
- * - Increased oscillation amplitude (ball wobbles more)
- * - Critical slowing down (ball takes longer to return to equilibrium)
+ * This act teaches players to recognize early warning signals of tipping
+ * (see EarlyWarningSignals):
+ * - Rising variance (ball wobbles more)
+ * - Rising lag-1 autocorrelation and skewness
+ * - Critical slowing down (ball takes longer to return after a kick)
  * 
  * The landscape is hidden by fog. Players must "read the wobble" to decide
- * when to evacuate before the ball falls into ruin.
+ * when to evacuate before the ball falls into ruin. What the ball gives
+ * away about the ground, and the players' own guesses, go on a BeliefMap
+ * that is scored when the fog lifts.
  * 
  * Scientific concept: Systems approaching tipping points often show
- * characteristic signals: increased variance and slower recovery times.
+ * characteristic signals: increased variance and autocorrelation, and
+ * slower recovery times.
  */
 
 class Act3Wobble {
+    // Barrier heights (see TippingAnalysis) that make an evacuation well timed
+    static BARRIER_CLOSE = 1.0; // About to tip
+    static BARRIER_NEAR = 2.0;  // Clearly weakened
+
+    // Signal values that fill an indicator bar, for a ball rolling on the
+    // smooth elevation field (see HexGrid.sampleGradient)
+    static FULL_SD = 0.1;           // Standard deviation, as a share of the hex side
+    static CALM_AUTOCORRELATION = 0.7; // Lag-1 autocorrelation of a calm ball: an empty bar, filling to 1
+    static FULL_SKEWNESS = 3;       // |skewness|
+    static FULL_RETURN_TIME = 1000; // ms
+
+    static TREND_BONUS = 20; // Points for a well-timed evacuation on a rising variance or autocorrelation trend
+
+    // Indicator element ids for each early warning signal
+    static INDICATOR_IDS = {
+        variance: 'variance',
+        autocorrelation: 'autocorrelation',
+        skewness: 'skewness',
+        returnTime: 'return-time'
+    };
+
     constructor() {
         this.canvas = null;
         this.ctx = null;
         this.grid = null;
         this.ball = null;
         this.fog = null;
+        this.seed = window.rng.deriveSeed('act3'); // Landscapes for this session
+        this.landscape = null;                 // Layout returned by the generator
+        this.editor = null; // LandscapeEditor, attached by the app with ?editor
+        this.chart = null;  // TimeSeriesChart of the early warning signals
+        this.renderer = null; // LandscapeRenderer for the board
+        this.viewMode = 'flat'; // 'flat' or '3d', kept across inits
+        this.belief = null;   // BeliefMap: what the ball has shown, and the players' guesses
+        this.guessTool = undefined; // Guess marked by a click (null erases); undefined when not guessing
 
         // Game state
         this.score = 0;
@@ -27,10 +61,12 @@ class Act3Wobble {
         this.roundActive = false;
         this.evacuated = false;
         this.ruinReached = false;
+        this.lastHex = null; // Hex the ball was last on the grid in
 
         // Timing
+        this.clock = new SimulationClock(); // Fixed-step time for physics and timers
         this.roundStartTime = 0;
-        this.erosionInterval = null;
+        this.erosionTimer = null;
         this.currentErosion = 0;
 
         // Animation
@@ -49,6 +85,7 @@ class Act3Wobble {
         if (!this.canvas) return;
 
         this.ctx = this.canvas.getContext('2d');
+        this.clock.reset();
 
         // Create grid
         const isMobile = window.innerWidth < 650;
@@ -62,6 +99,30 @@ class Act3Wobble {
 
         // Initialize fog
         this.fog = new FogSystem(this.grid);
+        this.fog.clock = this.clock;
+
+        // Draw the board flat or in 3D
+        this.renderer = new LandscapeRenderer(this.grid, { mode: this.viewMode, fog: this.fog });
+        LandscapeRenderer.bindToggle(document.getElementById('act3-view'), this.viewMode, (mode) => {
+            this.viewMode = mode;
+            this.renderer.setMode(mode);
+        });
+
+        // Record what the ball gives away, and the players' guesses
+        this.belief = new BeliefMap(this.grid);
+        this.guessTool = undefined;
+        BeliefMap.bindTools(document.getElementById('act3-belief'), this.belief, (guess) => {
+            this.guessTool = guess;
+        });
+
+        // Chart the signals under the canvas
+        const chartCanvas = document.getElementById('act3-chart');
+        if (chartCanvas) {
+            this.chart = new TimeSeriesChart(chartCanvas, {
+                width: this.canvas.width,
+                series: this._chartSeries()
+            });
+        }
 
         // Set up first round
         this._setupRound();
@@ -77,47 +138,42 @@ class Act3Wobble {
      * Set up a new round
      */
     _setupRound() {
-        // Reset grid
-        this.grid.reset();
-
-        // Create a valley that will erode
-        this.grid.createValley(3, 2, -3, 1);
-
-        // Place ruin(s)
-        const ruinPositions = [
-            { q: 6, r: 1 },
-            { q: 0, r: 3 }
-        ];
-
-        ruinPositions.forEach(pos => {
-            const hex = this.grid.getHex(pos.q, pos.r);
-            if (hex) {
-                this.grid.setRuin(pos.q, pos.r);
-            }
+        // Generate this round's landscape: one deep valley that will erode,
+        // with ruin beyond its rim. Same session seed, same rounds.
+        this.landscape = this.grid.generate({
+            seed: `${this.seed}-${this.round}`,
+            attractors: 1,
+            depth: 3,
+            width: [0, 1],
+            ruinDensity: 0.12
         });
 
         // Cover grid in fog (except ball position)
         this.fog.coverAll();
 
         // Place ball
-        const valleyCenter = this.grid.getHex(3, 2);
+        const valleyCenter = this.grid.getHex(this.landscape.start.col, this.landscape.start.row);
         if (!this.ball) {
-            this.ball = new Ball(this.grid, valleyCenter.q, valleyCenter.r);
+            this.ball = new Ball(this.grid, valleyCenter.col, valleyCenter.row);
+            this.ball.random = window.rng.stream('act3:ball');
         } else {
-            this.ball.reset(valleyCenter.q, valleyCenter.r);
+            this.ball.reset(valleyCenter.col, valleyCenter.row);
         }
         this.ball.setEquilibrium();
         this.ball.noiseLevel = 0.1; // Low constant noise
 
         // Reveal only the ball's starting hex
-        this.fog.reveal(valleyCenter.q, valleyCenter.r, 0);
+        this.fog.reveal(valleyCenter.col, valleyCenter.row, 0);
+        this.belief.reset();
 
         // Reset state
         this.evacuated = false;
         this.ruinReached = false;
+        this.lastHex = valleyCenter;
         this.roundActive = true;
         this.currentErosion = 0;
-        this.roundStartTime = Date.now();
+        this.roundStartTime = this.clock.time;
+        if (this.chart) this.chart.reset();
 
         // Start gradual erosion (B-tipping happening in background)
         this._startErosion();
@@ -130,24 +186,24 @@ class Act3Wobble {
      * Start the erosion process
      */
     _startErosion() {
-        if (this.erosionInterval) {
-            clearInterval(this.erosionInterval);
-        }
+        this.clock.cancel(this.erosionTimer);
 
         // Erode the landscape over time
-        this.erosionInterval = setInterval(() => {
+        this.erosionTimer = this.clock.every(2000, () => {
             if (!this.roundActive) return;
 
             this.currentErosion++;
             this.grid.applyErosion(0.3);
+            if (this.chart) this.chart.mark(this.clock.time);
 
             // Add small perturbation
+            const random = window.rng.stream('act3:erosion');
             this.ball.applyImpulse(
-                (Math.random() - 0.5) * 1,
-                (Math.random() - 0.5) * 1
+                (random.next() - 0.5) * 1,
+                (random.next() - 0.5) * 1
             );
 
-        }, 2000); // Every 2 seconds
+        });
     }
 
     /**
@@ -160,6 +216,20 @@ class Act3Wobble {
                 this._handleEvacuate();
             });
         }
+
+        // Clicks on the board mark guesses (assigned, so re-initialising doesn't stack handlers)
+        this.canvas.onclick = (e) => {
+            if (this.guessTool === undefined || !this.roundActive) return;
+            if (this.editor && this.editor.isEnabled) return;
+
+            const rect = this.canvas.getBoundingClientRect();
+            const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+            const y = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+            const hex = this.renderer.hexAt(x, y);
+            if (hex) {
+                this.belief.guess(hex.col, hex.row, this.guessTool);
+            }
+        };
     }
 
     /**
@@ -170,48 +240,59 @@ class Act3Wobble {
 
         this.evacuated = true;
         this.roundActive = false;
+        if (this.chart) this.chart.mark(this.clock.time, 'evacuate', '#E8A838');
 
         // Stop erosion
-        if (this.erosionInterval) {
-            clearInterval(this.erosionInterval);
-        }
+        this.clock.cancel(this.erosionTimer);
 
         // Reveal the landscape
         this.fog.revealAll();
-
-        // Calculate score based on timing
-        const timeElapsed = Date.now() - this.roundStartTime;
-        const erosionLevel = this.currentErosion;
+        const mapFeedback = this._mapFeedback();
 
         // Scoring logic:
-        // - If evacuated when erosion is high (landscape is fragile), good timing
-        // - If evacuated when erosion is low, too early
+        // - If evacuated when the barrier out of the ball's valley is low
+        //   (landscape is fragile), good timing
+        // - If evacuated while the barrier is still high, too early
         // - The "sweet spot" is when oscillation is high but ruin hasn't happened
 
         let points = 0;
         let feedback = '';
 
-        // Check proximity to actual tipping
-        const currentHex = this.ball.getCurrentHex();
-        const wasNearRuin = erosionLevel >= 3;
+        // Check proximity to actual tipping, from where the ball was last
+        // on the grid if it has rolled off
+        const hex = this.ball.getCurrentHex() || this.lastHex;
+        const barrier = this.grid.findTippingPoint(hex.col, hex.row).barrierHeight;
 
-        if (wasNearRuin && !this.ball.isInRuin) {
+        if (this.ball.isInRuin) {
+            points = 0;
+        } else if (barrier <= Act3Wobble.BARRIER_CLOSE) {
             // Perfect timing - evacuated when close to tipping
             points = 50;
             feedback = 'Excellent timing! You read the warning signs correctly.';
-        } else if (erosionLevel >= 2 && !this.ball.isInRuin) {
+        } else if (barrier <= Act3Wobble.BARRIER_NEAR) {
             // Good timing
             points = 30;
             feedback = 'Good call! The system was becoming unstable.';
-        } else if (erosionLevel < 2) {
+        } else {
             // Too early
             points = -20;
             feedback = 'Too early. Resources wasted on a premature evacuation.';
         }
+        if (feedback && Number.isFinite(barrier)) {
+            feedback += ` (Barrier left: ${barrier.toFixed(1)})`;
+        }
+
+        // Reward a well-timed call made on a real trend rather than a single spike
+        const wellTimed = !this.ball.isInRuin && barrier <= Act3Wobble.BARRIER_NEAR;
+        const trends = this.ball.getWobbleMetrics().trends;
+        if (wellTimed && (trends.variance.rising || trends.autocorrelation.rising)) {
+            points += Act3Wobble.TREND_BONUS;
+            feedback += ` +${Act3Wobble.TREND_BONUS} for acting on a rising trend.`;
+        }
 
         this.score += points;
         this._updateDisplay();
-        this._showRoundFeedback(feedback, points);
+        this._showRoundFeedback((feedback + mapFeedback).trim(), points);
     }
 
     /**
@@ -222,11 +303,10 @@ class Act3Wobble {
 
         this.ruinReached = true;
         this.roundActive = false;
+        if (this.chart) this.chart.mark(this.clock.time, 'ruin', '#E84855');
 
         // Stop erosion
-        if (this.erosionInterval) {
-            clearInterval(this.erosionInterval);
-        }
+        this.clock.cancel(this.erosionTimer);
 
         // Reveal the landscape
         this.fog.revealAll();
@@ -236,7 +316,24 @@ class Act3Wobble {
         this.score += points;
 
         this._updateDisplay();
-        this._showRoundFeedback('Too late! The system collapsed.', points);
+        this._showRoundFeedback('Too late! The system collapsed.' + this._mapFeedback(), points);
+    }
+
+    /**
+     * Score the belief map now the fog has lifted
+     * @returns {string} A sentence or two for the round feedback, or '' if
+     *   there was nothing to score
+     */
+    _mapFeedback() {
+        const { guesses, inferred } = this.belief.score();
+        let text = '';
+        if (guesses.count > 0) {
+            text += ` Your map: ${guesses.correct} of ${guesses.count} guesses right.`;
+        }
+        if (inferred.count > 0) {
+            text += ` Depths read from the ball were off by ${inferred.meanError.toFixed(1)} levels on average.`;
+        }
+        return text;
     }
 
     /**
@@ -320,6 +417,29 @@ class Act3Wobble {
         }
     }
 
+    /**
+     * Chart lanes: the same signals as the bars, but over time
+     */
+    _chartSeries() {
+        // Nothing to plot until the rolling window has filled
+        const signal = (read) => () => {
+            const warnings = this.ball && this.ball.warnings;
+            return warnings && warnings.isReady() ? read(warnings) : null;
+        };
+        return [
+            { label: 'Std. deviation', color: '#4A90D9', min: 0, value: signal(w => Math.sqrt(w.variance)) },
+            { label: 'Autocorrelation', color: '#45B7A0', min: -1, max: 1, value: signal(w => w.autocorrelation) },
+            { label: '|Skewness|', color: '#9B6BD9', min: 0, value: signal(w => w.skewness) },
+            {
+                label: 'Return time',
+                color: '#E8A838',
+                min: 0,
+                value: signal(w => w.returnTime),
+                format: v => `${Math.round(v)} ms`
+            }
+        ];
+    }
+
     /**
      * Update the display
      */
@@ -329,19 +449,30 @@ class Act3Wobble {
             scoreEl.textContent = this.score;
         }
 
-        // Update wobble indicators
+        // Update early warning indicators (empty until the window fills)
         if (this.ball) {
             const metrics = this.ball.getWobbleMetrics();
-
-            const oscillationBar = document.getElementById('oscillation-bar');
-            if (oscillationBar) {
-                oscillationBar.style.width = `${metrics.oscillation * 100}%`;
-            }
-
-            const recoveryBar = document.getElementById('recovery-bar');
-            if (recoveryBar) {
-                // Invert recovery (low recovery = high danger)
-                recoveryBar.style.width = `${(1 - metrics.recovery) * 100}%`;
+            const levels = metrics.ready ? {
+                variance: Math.sqrt(metrics.variance) / (this.grid.sideLength * Act3Wobble.FULL_SD),
+                autocorrelation: (metrics.autocorrelation - Act3Wobble.CALM_AUTOCORRELATION) / (1 - Act3Wobble.CALM_AUTOCORRELATION),
+                skewness: metrics.skewness / Act3Wobble.FULL_SKEWNESS,
+                returnTime: (metrics.returnTime || 0) / Act3Wobble.FULL_RETURN_TIME
+            } : {};
+
+            for (const [name, id] of Object.entries(Act3Wobble.INDICATOR_IDS)) {
+                const bar = document.getElementById(`${id}-bar`);
+                if (bar) {
+                    const level = Math.max(0, Math.min(1, levels[name] || 0));
+                    bar.style.width = `${level * 100}%`;
+                }
+
+                // Kendall tau trend over the recent history
+                const label = document.getElementById(`${id}-trend`);
+                if (label) {
+                    const rising = metrics.trends[name].rising;
+                    label.textContent = rising ? 'rising ↑' : 'stable';
+                    label.classList.toggle('rising', rising);
+                }
             }
         }
     }
@@ -350,26 +481,37 @@ class Act3Wobble {
      * Animation loop
      */
     _startAnimation() {
-        const animate = () => {
+        const animate = (timestamp) => {
             this.animationId = requestAnimationFrame(animate);
-            this._update();
+            this.clock.frame(timestamp, (dt) => this._update(dt));
             this._draw();
         };
-        animate();
+        this.clock.sync();
+        animate(performance.now());
     }
 
     /**
      * Update physics and indicators
      */
-    _update() {
+    _update(dt) {
+        // Ground seen earlier goes stale as the valley erodes
+        this.fog.update(this.clock.time);
+
         if (this.ball) {
-            this.ball.update();
+            this.ball.update(dt);
+            this.lastHex = this.ball.getCurrentHex() || this.lastHex;
+            if (this.roundActive) this.belief.observe(this.ball, dt);
 
             // Check for ruin
             if (this.roundActive && this.ball.isInRuin && !this.ruinReached) {
                 this._handleRuin();
             }
 
+            // Chart freezes at the end of the round, when the decision was made
+            if (this.chart && this.roundActive) {
+                this.chart.sample(this.clock.time);
+            }
+
             // Update indicators
             this._updateDisplay();
         }
@@ -384,15 +526,21 @@ class Act3Wobble {
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
         // Draw grid
-        this.grid.draw(this.ctx);
+        this.renderer.drawGrid(this.ctx);
 
         // Draw fog overlay
-        this.fog.draw(this.ctx);
+        this.renderer.drawFog(this.ctx);
+
+        // What the ball has shown, and the players' guesses
+        this.belief.draw(this.ctx, (x, y) => this.renderer.project(x, y));
 
         // Draw ball (always visible)
         if (this.ball) {
-            this.ball.draw(this.ctx, true);
+            this.renderer.drawBall(this.ctx, this.ball, { alpha: this.clock.alpha });
         }
+
+        if (this.editor) this.editor.draw(this.ctx);
+        if (this.chart) this.chart.draw();
     }
 
     /**
@@ -403,9 +551,8 @@ class Act3Wobble {
             cancelAnimationFrame(this.animationId);
             this.animationId = null;
         }
-        if (this.erosionInterval) {
-            clearInterval(this.erosionInterval);
-        }
+        this.clock.cancel(this.erosionTimer);
+        if (this.fog) this.fog.cancelAnimations();
     }
 
     /**
@@ -16,6 +16,10 @@ class Act4Panic {
         this.grid = null;
         this.ball = null;
         this.fog = null;
+        this.clock = new SimulationClock(); // Fixed-step time for physics and timers
+        this.editor = null; // LandscapeEditor, attached by the app with ?editor
+        this.renderer = null; // LandscapeRenderer for the board
+        this.viewMode = 'flat'; // 'flat' or '3d', kept across inits
 
         // Resources
         this.trust = 100;
@@ -29,7 +33,7 @@ class Act4Panic {
 
         // Animation
         this.animationId = null;
-        this.erosionInterval = null;
+        this.erosionTimer = null;
 
         // Callbacks
         this.onComplete = null;
@@ -43,6 +47,7 @@ class Act4Panic {
         if (!this.canvas) return;
 
         this.ctx = this.canvas.getContext('2d');
+        this.clock.reset();
 
         // Create grid
         const isMobile = window.innerWidth < 650;
@@ -59,15 +64,25 @@ class Act4Panic {
 
         // Initialize fog (all hidden initially)
         this.fog = new FogSystem(this.grid);
+        this.fog.clock = this.clock;
         this.fog.coverAll();
 
         // Reveal only center area
         this.fog.reveal(3, 2, 1);
 
+        // Draw the board flat or in 3D
+        this.renderer = new LandscapeRenderer(this.grid, { mode: this.viewMode, fog: this.fog });
+        LandscapeRenderer.bindToggle(document.getElementById('act4-view'), this.viewMode, (mode) => {
+            this.viewMode = mode;
+            this.renderer.setMode(mode);
+        });
+
         // Create ball
         const valleyCenter = this.grid.getHex(3, 2);
-        this.ball = new Ball(this.grid, valleyCenter.q, valleyCenter.r);
+        this.ball = new Ball(this.grid, valleyCenter.col, valleyCenter.row);
+        this.ball.random = window.rng.stream('act4:ball');
         this.ball.noiseLevel = 0.05;
+        this.fog.attachBall(this.ball, { radius: 1, falloff: 0.6 }); // Sees where it rolls, and roughly around it
 
         // Set up event listeners
         this._setupEventListeners();
@@ -91,15 +106,15 @@ class Act4Panic {
 
         // Place ruin on edges
         const ruinPositions = [
-            { q: 6, r: 0 },
-            { q: 6, r: 2 },
-            { q: 0, r: 3 }
+            { col: 6, row: 0 },
+            { col: 6, row: 2 },
+            { col: 0, row: 3 }
         ];
 
         ruinPositions.forEach(pos => {
-            const hex = this.grid.getHex(pos.q, pos.r);
+            const hex = this.grid.getHex(pos.col, pos.row);
             if (hex) {
-                this.grid.setRuin(pos.q, pos.r);
+                this.grid.setRuin(pos.col, pos.row);
             }
         });
     }
@@ -108,13 +123,12 @@ class Act4Panic {
      * Start background erosion (the crisis builds regardless)
      */
     _startErosion() {
-        this.erosionInterval = setInterval(() => {
+        this.erosionTimer = this.clock.every(1000, () => {
             if (this.isComplete) return;
 
             // Crisis builds each turn
             this.grid.applyErosion(0.15);
-
-        }, 1000);
+        });
     }
 
     /**
@@ -150,9 +164,10 @@ class Act4Panic {
         this._updateDisplay();
 
         // Add perturbation to show effect
+        const random = window.rng.stream('act4:choices');
         this.ball.applyImpulse(
-            (Math.random() - 0.5) * 2,
-            (Math.random() - 0.5) * 2
+            (random.next() - 0.5) * 2,
+            (random.next() - 0.5) * 2
         );
 
         // Check for completion
@@ -183,10 +198,10 @@ class Act4Panic {
         // Trust decreases initially
         this.trust = Math.max(0, this.trust - 15);
 
-        // Reveal some fog around ball's current position
+        // Scout the ground around the ball: an estimate, not the truth
         const currentHex = this.ball.getCurrentHex();
         if (currentHex) {
-            this.fog.reveal(currentHex.q, currentHex.r, 2);
+            this.fog.scout(currentHex.col, currentHex.row, 2, true);
         }
 
         // Community "digs in" - deepens the valley
@@ -202,13 +217,13 @@ class Act4Panic {
         if (!currentHex) return;
 
         // Lower the current hex
-        this.grid.modifyElevation(currentHex.q, currentHex.r, -0.5);
+        this.grid.modifyElevation(currentHex.col, currentHex.row, -0.5);
 
         // Also lower nearby hexes slightly
-        const neighbors = this.grid.getNeighbors(currentHex.q, currentHex.r);
+        const neighbors = this.grid.getNeighbors(currentHex.col, currentHex.row);
         neighbors.forEach(neighbor => {
             if (!neighbor.isRuin) {
-                this.grid.modifyElevation(neighbor.q, neighbor.r, -0.3);
+                this.grid.modifyElevation(neighbor.col, neighbor.row, -0.3);
             }
         });
     }
@@ -220,9 +235,7 @@ class Act4Panic {
         this.isComplete = true;
 
         // Stop erosion
-        if (this.erosionInterval) {
-            clearInterval(this.erosionInterval);
-        }
+        this.clock.cancel(this.erosionTimer);
 
         // Reveal everything
         this.fog.revealAll();
@@ -310,20 +323,22 @@ class Act4Panic {
      * Animation loop
      */
     _startAnimation() {
-        const animate = () => {
+        const animate = (timestamp) => {
             this.animationId = requestAnimationFrame(animate);
-            this._update();
+            this.clock.frame(timestamp, (dt) => this._update(dt));
             this._draw();
         };
-        animate();
+        this.clock.sync();
+        animate(performance.now());
     }
 
     /**
      * Update physics
      */
-    _update() {
+    _update(dt) {
         if (this.ball) {
-            this.ball.update();
+            this.ball.update(dt);
+            this.fog.sense();
 
             // Check for ruin
             if (!this.isComplete && this.ball.isInRuin) {
@@ -341,15 +356,17 @@ class Act4Panic {
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
         // Draw grid
-        this.grid.draw(this.ctx);
+        this.renderer.drawGrid(this.ctx);
 
         // Draw fog
-        this.fog.draw(this.ctx);
+        this.renderer.drawFog(this.ctx);
 
         // Draw ball
         if (this.ball) {
-            this.ball.draw(this.ctx, true);
+            this.renderer.drawBall(this.ctx, this.ball, { alpha: this.clock.alpha });
         }
+
+        if (this.editor) this.editor.draw(this.ctx);
     }
 
     /**
@@ -360,9 +377,8 @@ class Act4Panic {
             cancelAnimationFrame(this.animationId);
             this.animationId = null;
         }
-        if (this.erosionInterval) {
-            clearInterval(this.erosionInterval);
-        }
+        this.clock.cancel(this.erosionTimer);
+        if (this.fog) this.fog.cancelAnimations();
     }
 
     /**
@@ -386,7 +402,7 @@ class Act4Panic {
 
         // Reset ball
         const valleyCenter = this.grid.getHex(3, 2);
-        this.ball.reset(valleyCenter.q, valleyCenter.r);
+        this.ball.reset(valleyCenter.col, valleyCenter.row);
 
         // Restart
         this._startAnimation();
@@ -19,6 +19,13 @@ class Act5Governor {
         this.grid = null;
         this.ball = null;
         this.fog = null;
+        this.clock = new SimulationClock(); // Fixed-step time for physics and timers
+        this.seed = window.rng.deriveSeed('act5'); // Landscape for this session
+        this.landscape = null;                 // Layout returned by the generator
+        this.editor = null; // LandscapeEditor, attached by the app with ?editor
+        this.renderer = null; // LandscapeRenderer for the board
+        this.overlays = null; // LandscapeOverlays: flow arrows, contours, streamlines
+        this.viewMode = 'flat'; // 'flat' or '3d', kept across inits
 
         // Resources
         this.resiliencePoints = 50;
@@ -55,7 +62,7 @@ class Act5Governor {
     static ACTIONS = {
         deepen: { cost: 3, desc: 'Lower selected hex by 1' },
         widen: { cost: 5, desc: 'Lower hex and its neighbors' },
-        scout: { cost: 2, desc: 'Reveal fog on a hex' },
+        scout: { cost: 2, desc: 'Estimate the ground under fog' },
         barrier: { cost: 8, desc: 'Raise hex to block paths' }
     };
 
@@ -67,6 +74,7 @@ class Act5Governor {
         if (!this.canvas) return;
 
         this.ctx = this.canvas.getContext('2d');
+        this.clock.reset();
 
         // Create larger grid
         const isMobile = window.innerWidth < 650;
@@ -83,11 +91,23 @@ class Act5Governor {
 
         // Initialize fog (partial coverage)
         this.fog = new FogSystem(this.grid);
+        this.fog.clock = this.clock;
         this._setupInitialFog();
 
+        // Draw the board flat or in 3D
+        this.renderer = new LandscapeRenderer(this.grid, { mode: this.viewMode, fog: this.fog });
+        LandscapeRenderer.bindToggle(document.getElementById('act5-view'), this.viewMode, (mode) => {
+            this.viewMode = mode;
+            this.renderer.setMode(mode);
+        });
+        this.overlays = new LandscapeOverlays(this.grid);
+        LandscapeOverlays.bindToggles(document.getElementById('act5-overlays'), [this.overlays]);
+
         // Create ball
-        const startHex = this.grid.getHex(4, 3);
-        this.ball = new Ball(this.grid, startHex.q, startHex.r);
+        const startHex = this.grid.getHex(this.landscape.start.col, this.landscape.start.row);
+        this.ball = new Ball(this.grid, startHex.col, startHex.row);
+        this.ball.random = window.rng.stream('act5:ball');
+        this.fog.ball = this.ball;
 
         // Set up event listeners
         this._setupEventListeners();
@@ -100,27 +120,16 @@ class Act5Governor {
     }
 
     /**
-     * Set up the initial landscape
+     * Set up the initial landscape: a shallow valley for the player to
+     * shore up, with ruin scattered beyond its rim
      */
     _setupLandscape() {
-        // Create initial shallow valley
-        this.grid.createValley(4, 3, -1, 1);
-
-        // Place ruin hexes around the edges
-        const ruinPositions = [
-            { q: 0, r: 2 },
-            { q: 0, r: 4 },
-            { q: 8, r: 1 },
-            { q: 8, r: 3 },
-            { q: 4, r: 0 },
-            { q: 4, r: 5 }
-        ];
-
-        ruinPositions.forEach(pos => {
-            const hex = this.grid.getHex(pos.q, pos.r);
-            if (hex) {
-                this.grid.setRuin(pos.q, pos.r);
-            }
+        this.landscape = this.grid.generate({
+            seed: this.seed,
+            attractors: 1,
+            depth: 1,
+            width: 1,
+            ruinDensity: 0.2
         });
     }
 
@@ -130,8 +139,8 @@ class Act5Governor {
     _setupInitialFog() {
         this.fog.coverAll();
 
-        // Reveal center area
-        this.fog.reveal(4, 3, 2);
+        // Reveal the area around the valley
+        this.fog.reveal(this.landscape.start.col, this.landscape.start.row, 2);
     }
 
     /**
@@ -192,7 +201,7 @@ class Act5Governor {
             x *= this.canvas.width / rect.width;
             y *= this.canvas.height / rect.height;
 
-            const hex = this.grid.getHexAtPixel(x, y);
+            const hex = this.renderer.hexAt(x, y);
             if (hex) {
                 // Clear all highlights
                 for (const cell of this.grid.getAllCells()) {
@@ -220,7 +229,7 @@ class Act5Governor {
             }
 
             if (this.awaitingHexSelection) {
-                const hex = this.grid.getHexAtPixel(x, y);
+                const hex = this.renderer.hexAt(x, y);
                 if (hex) {
                     hex.isHighlighted = true;
                 }
@@ -255,17 +264,18 @@ class Act5Governor {
      * Handle hex selection for action
      */
     _handleHexSelection(x, y) {
-        const hex = this.grid.getHexAtPixel(x, y);
+        const hex = this.renderer.hexAt(x, y);
         if (!hex || !this.selectedAction) return;
 
         const cost = Act5Governor.ACTIONS[this.selectedAction].cost;
         if (this.resiliencePoints < cost) return;
 
-        // Apply action
+        // Apply action, noting the ground it may reshape
+        const before = new Map(this.grid.getRange(hex.col, hex.row, 1).map(cell => [cell, cell.elevation]));
         switch (this.selectedAction) {
             case 'deepen':
                 if (!hex.isRuin) {
-                    this.grid.modifyElevation(hex.q, hex.r, -1);
+                    this.grid.modifyElevation(hex.col, hex.row, -1);
                     this.resiliencePoints -= cost;
                     this.actionsUsed.deepen++;
                 } else {
@@ -276,10 +286,10 @@ class Act5Governor {
 
             case 'widen':
                 if (!hex.isRuin) {
-                    this.grid.modifyElevation(hex.q, hex.r, -1);
-                    this.grid.getNeighbors(hex.q, hex.r).forEach(n => {
+                    this.grid.modifyElevation(hex.col, hex.row, -1);
+                    this.grid.getNeighbors(hex.col, hex.row).forEach(n => {
                         if (!n.isRuin) {
-                            this.grid.modifyElevation(n.q, n.r, -0.5);
+                            this.grid.modifyElevation(n.col, n.row, -0.5);
                         }
                     });
                     this.resiliencePoints -= cost;
@@ -291,14 +301,14 @@ class Act5Governor {
                 break;
 
             case 'scout':
-                this.fog.reveal(hex.q, hex.r, 1);
+                this.fog.scout(hex.col, hex.row, 1, true);
                 this.resiliencePoints -= cost;
                 this.actionsUsed.scout++;
                 break;
 
             case 'barrier':
                 if (!hex.isRuin) {
-                    this.grid.modifyElevation(hex.q, hex.r, 2);
+                    this.grid.modifyElevation(hex.col, hex.row, 2);
                     this.resiliencePoints -= cost;
                     this.actionsUsed.barrier++;
                 } else {
@@ -308,6 +318,14 @@ class Act5Governor {
                 break;
         }
 
+        // Players know the ground they have just shaped
+        if (this.selectedAction !== 'scout') {
+            for (const [cell, elevation] of before) {
+                const change = cell.elevation - elevation;
+                if (change !== 0) this.fog.refresh(cell.col, cell.row, change);
+            }
+        }
+
         // Reset selection
         this.selectedAction = null;
         this.awaitingHexSelection = false;
@@ -362,7 +380,7 @@ class Act5Governor {
         }
 
         // Random event: N-shock or B-erosion
-        const isNShock = Math.random() > 0.4;
+        const isNShock = window.rng.stream('act5:crisis').next() > 0.4;
 
         if (isNShock) {
             this._applyNShock();
@@ -371,22 +389,23 @@ class Act5Governor {
         }
 
         // Wait and check result
-        setTimeout(() => {
+        this.clock.after(3000, () => {
             if (this.ball.isInRuin) {
                 this._completeAct();
             } else {
                 this.crisisRound++;
                 this._runCrisisRound();
             }
-        }, 3000);
+        });
     }
 
     /**
      * Apply an N-shock (random impulse)
      */
     _applyNShock() {
-        const angle = Math.random() * Math.PI * 2;
-        const magnitude = 3 + Math.random() * 4;
+        const random = window.rng.stream('act5:crisis');
+        const angle = random.next() * Math.PI * 2;
+        const magnitude = 3 + random.next() * 4;
 
         this.ball.applyImpulse(
             Math.cos(angle) * magnitude,
@@ -404,9 +423,10 @@ class Act5Governor {
         this.grid.applyErosion(0.7);
 
         // Small perturbation
+        const random = window.rng.stream('act5:crisis');
         this.ball.applyImpulse(
-            (Math.random() - 0.5) * 2,
-            (Math.random() - 0.5) * 2
+            (random.next() - 0.5) * 2,
+            (random.next() - 0.5) * 2
         );
 
         // Show notification
@@ -485,9 +505,9 @@ class Act5Governor {
 
     _showErrorBriefly(hex) {
         hex.isError = true;
-        setTimeout(() => {
+        this.clock.after(500, () => {
             hex.isError = false;
-        }, 500);
+        });
     }
 
     /**
@@ -604,20 +624,24 @@ class Act5Governor {
      * Animation loop
      */
     _startAnimation() {
-        const animate = () => {
+        const animate = (timestamp) => {
             this.animationId = requestAnimationFrame(animate);
-            this._update();
+            this.clock.frame(timestamp, (dt) => this._update(dt));
             this._draw();
         };
-        animate();
+        this.clock.sync();
+        animate(performance.now());
     }
 
     /**
      * Update physics
      */
-    _update() {
+    _update(dt) {
+        // Ground seen earlier goes stale as crises erode it
+        this.fog.update(this.clock.time);
+
         if (this.ball) {
-            this.ball.update();
+            this.ball.update(dt);
         }
     }
 
@@ -630,15 +654,20 @@ class Act5Governor {
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
         // Draw grid
-        this.grid.draw(this.ctx);
+        this.renderer.drawGrid(this.ctx);
 
         // Draw fog
-        this.fog.draw(this.ctx);
+        this.renderer.drawFog(this.ctx);
+
+        // Draw flow overlays (only over revealed ground)
+        this.overlays.draw(this.ctx, (x, y) => this.renderer.project(x, y));
 
         // Draw ball
         if (this.ball) {
-            this.ball.draw(this.ctx, true);
+            this.renderer.drawBall(this.ctx, this.ball, { alpha: this.clock.alpha });
         }
+
+        if (this.editor) this.editor.draw(this.ctx);
     }
 
     /**
@@ -649,6 +678,7 @@ class Act5Governor {
             cancelAnimationFrame(this.animationId);
             this.animationId = null;
         }
+        if (this.fog) this.fog.cancelAnimations();
     }
 
     /**
@@ -656,6 +686,7 @@ class Act5Governor {
      */
     reset() {
         this.stop();
+        this.clock.cancelAll(); // Drop any pending crisis round
 
         // Reset state
         this.resiliencePoints = this.maxRP;
@@ -673,8 +704,8 @@ class Act5Governor {
         this._setupInitialFog();
 
         // Reset ball
-        const startHex = this.grid.getHex(4, 3);
-        this.ball.reset(startHex.q, startHex.r);
+        const startHex = this.grid.getHex(this.landscape.start.col, this.landscape.start.row);
+        this.ball.reset(startHex.col, startHex.row);
 
         // Restart animation
         this._startAnimation();
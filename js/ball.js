@@ -6,35 +6,40 @@
  * hexagons with momentum and friction.
  * 
  * Key behaviors:
- * - Moves toward lowest adjacent areas (potential field physics)
+ * - Rolls down the smooth elevation field between hex centres (see
+ *   HexGrid.sampleGradient), faster on steep slopes than on gentle ones
  * - Has momentum that decays over time (friction)
- * - Can receive random "noise" perturbations (for N-tipping demos)
- * - Tracks oscillation amplitude and recovery time (for early warning signals)
+ * - Can receive random "noise" perturbations (for N-tipping demos); see
+ *   NoiseProcess for the kinds of noise
+ * - Feeds its position history to EarlyWarningSignals (variance,
+ *   autocorrelation, skewness and return time)
  */
 
 class Ball {
     // Physics constants
-    static GRAVITY = 0.15;          // Force multiplier for gradient
+    static GRAVITY = 0.15;          // Push for a slope of one level per hex
     static FRICTION = 0.92;         // Velocity decay per frame
-    static MAX_VELOCITY = 8;        // Speed limit
-    static NOISE_SCALE = 0.5;       // Random perturbation multiplier
+    static MAX_VELOCITY = 8;        // Speed limit, raised for a while by a noise shock (see speedLimit)
     static TRAIL_LENGTH = 60;       // Number of positions to remember
 
     /**
      * @param {HexGrid} grid - The hex grid the ball moves on
-     * @param {number} startQ - Starting hex q coordinate
-     * @param {number} startR - Starting hex r coordinate
+     * @param {number} startCol - Starting hex column
+     * @param {number} startRow - Starting hex row
      */
-    constructor(grid, startQ, startR) {
+    constructor(grid, startCol, startRow) {
         this.grid = grid;
 
         // Get pixel position from hex coordinates
-        const startPos = grid.hexToPixel(startQ, startR);
+        const startPos = grid.hexToPixel(startCol, startRow);
 
         this.x = startPos.x;
         this.y = startPos.y;
         this.vx = 0;
         this.vy = 0;
+        this.speedLimit = Ball.MAX_VELOCITY; // Raised to a shock's speed, then eased back by friction
+        this.prevX = this.x; // Position at the previous physics step, for interpolated drawing
+        this.prevY = this.y;
 
         // Visual properties
         this.radius = 12;
@@ -47,14 +52,18 @@ class Ball {
         this.historyMaxLength = 120; // 2 seconds at 60fps
 
         // State
-        this.isInRuin = false;
+        this.isInRuin = false; // Absorbed by ruin: the ball stops for good
+        this.ruinCell = null;  // Ruin hex the ball is currently inside, if any
+        this.ruinTime = 0;     // ms spent in recoverable ruin (the cost of a deep trap)
         this.noiseLevel = 0; // 0 to 1
+        this.noise = new NoiseProcess('kicks'); // Kind of noise; see setNoiseType()
+        this.random = window.rng.stream('ball'); // Noise source; acts give each ball its own stream
+        this.time = 0;       // Simulated ms, advanced by update() rather than read from the wall clock
 
-        // Metrics for early warning signals
-        this.oscillationAmplitude = 0;
-        this.recoveryRate = 1; // 1 = fast recovery, 0 = slow (critical slowing)
+        // Early warning signals, fed from the position history
+        this.warnings = new EarlyWarningSignals();
 
-        // For recovery rate calculation
+        // For return time after a perturbation
         this.lastPerturbationTime = 0;
         this.equilibriumPosition = { x: startPos.x, y: startPos.y };
         this.distanceFromEquilibrium = 0;
@@ -67,6 +76,9 @@ class Ball {
         this.moveStartTime = 0;
         this.sourceX = 0;
         this.sourceY = 0;
+
+        // Callbacks
+        this.onPerturbation = null; // (ball) after every shock or impulse
     }
 
     /**
@@ -74,6 +86,9 @@ class Ball {
      * @param {number} dt - Delta time in milliseconds (typically ~16.67)
      */
     update(dt = 16.67) {
+        this.time += dt;
+        this.prevX = this.x;
+        this.prevY = this.y;
         if (this.isInRuin) return;
 
         if (this.isDiscreteMode) {
@@ -89,49 +104,47 @@ class Ball {
         // Get current hex
         const currentHex = this.grid.getHexAtPixel(this.x, this.y);
 
+        // Check for ruin (absorbing ruin ends the simulation for this ball)
+        this.grid.ruin.trackBall(this, currentHex);
+        if (this.isInRuin) return;
+
         if (!currentHex) {
             // Ball is outside grid - apply centering force
             this._applyCenteringForce();
         } else {
-            // Check for ruin
-            if (currentHex.isRuin) {
-                this.isInRuin = true;
-                return;
-            }
-
-            // Calculate gradient force (rolls downhill)
-            const gradient = this.grid.calculateGradient(currentHex.col, currentHex.row);
-
-            // Apply gravity along gradient
-            this.vx += gradient.x * Ball.GRAVITY * timeScale;
-            this.vy += gradient.y * Ball.GRAVITY * timeScale;
-
-            // Apply hex centering force (to settle in center of tiles)
-            // Only apply if moving slowly, to allow natural rolls on slopes
-            const speed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
-            if (speed < 1.5) {
-                const centering = this.grid.getCenteringForce(currentHex.col, currentHex.row, this.x, this.y);
-                this.vx += centering.x * 2.0 * timeScale;
-                this.vy += centering.y * 2.0 * timeScale;
-            }
+            // Roll downhill on the smooth elevation field. Slope is taken per
+            // hex spacing, so a drop of one level to the next hex gives GRAVITY.
+            const slope = this.grid.sampleGradient(this.x, this.y);
+            const push = Ball.GRAVITY * this.grid.xSpacing * timeScale;
+            this.vx -= slope.x * push;
+            this.vy -= slope.y * push;
         }
 
         // Apply random noise (for N-tipping simulations)
         if (this.noiseLevel > 0) {
-            this._applyNoise(timeScale);
+            this._applyNoise(dt);
         }
 
         // Apply friction
         this.vx *= Math.pow(Ball.FRICTION, timeScale);
         this.vy *= Math.pow(Ball.FRICTION, timeScale);
 
-        // Clamp velocity
+        // Recoverable ruin drags on the ball, and every moment in it costs
+        if (this.ruinCell) {
+            this.vx *= Math.pow(RuinSystem.RECOVERABLE_DRAG, timeScale);
+            this.vy *= Math.pow(RuinSystem.RECOVERABLE_DRAG, timeScale);
+            this.ruinTime += dt;
+        }
+
+        // Clamp velocity. A big shock keeps its size: the limit starts at
+        // its speed and falls back with friction, like the shock itself.
         const speed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
-        if (speed > Ball.MAX_VELOCITY) {
-            const scale = Ball.MAX_VELOCITY / speed;
+        if (speed > this.speedLimit) {
+            const scale = this.speedLimit / speed;
             this.vx *= scale;
             this.vy *= scale;
         }
+        this.speedLimit = Math.max(Ball.MAX_VELOCITY, this.speedLimit * Math.pow(Ball.FRICTION, timeScale));
 
         // Update position
         this.x += this.vx * timeScale;
@@ -150,8 +163,7 @@ class Ball {
     _updateDiscrete(dt) {
         if (this.targetX === null || this.targetY === null) return;
 
-        const now = Date.now();
-        const elapsed = now - this.moveStartTime;
+        const elapsed = this.time - this.moveStartTime;
         const t = Math.min(1, elapsed / this.moveDuration);
 
         // Simple ease-in-out
@@ -180,7 +192,7 @@ class Ball {
         this.targetX = pos.x;
         this.targetY = pos.y;
         this.moveDuration = duration;
-        this.moveStartTime = Date.now();
+        this.moveStartTime = this.time;
         this.isMoving = true;
     }
 
@@ -192,21 +204,50 @@ class Ball {
     }
 
     /**
-     * Apply random perturbation based on noise level
+     * Apply random perturbation from the noise process
      */
-    _applyNoise(timeScale) {
-        // Chance of a perturbation depends on noise level
-        if (Math.random() < this.noiseLevel * 0.1) {
-            const angle = Math.random() * Math.PI * 2;
-            const magnitude = this.noiseLevel * Ball.NOISE_SCALE * (0.5 + Math.random() * 0.5);
+    _applyNoise(dt) {
+        const kick = this.noise.step(this.noiseLevel, this.random, dt);
+        if (!kick) return;
 
-            this.vx += Math.cos(angle) * magnitude * 10;
-            this.vy += Math.sin(angle) * magnitude * 10;
+        this.vx += kick.x;
+        this.vy += kick.y;
 
-            this.lastPerturbationTime = Date.now();
+        // Continuous noise has no single moment to recover from
+        if (kick.shock) {
+            this.speedLimit = Math.max(this.speedLimit, Math.sqrt(this.vx * this.vx + this.vy * this.vy));
+            this._markPerturbation();
         }
     }
 
+    /**
+     * Switch to another kind of noise
+     * @param {string} type - One of NoiseProcess.TYPES
+     */
+    setNoiseType(type, options = {}) {
+        this.noise = new NoiseProcess(type, options);
+    }
+
+    /**
+     * Start timing the return after a kick. The ball should come back to
+     * where it has been lately, i.e. the mean of its recent history.
+     */
+    _markPerturbation() {
+        this.lastPerturbationTime = this.time;
+
+        let reference = { x: this.x, y: this.y };
+        if (this.positionHistory.length > 0) {
+            reference = { x: 0, y: 0 };
+            for (const pos of this.positionHistory) {
+                reference.x += pos.x / this.positionHistory.length;
+                reference.y += pos.y / this.positionHistory.length;
+            }
+        }
+        this.warnings.perturb(this.time, reference);
+
+        if (this.onPerturbation) this.onPerturbation(this);
+    }
+
     /**
      * Apply force to keep ball on grid
      */
@@ -236,56 +277,23 @@ class Ball {
         }
 
         // Also update position history for metrics
-        this.positionHistory.push({
+        const sample = {
             x: this.x,
             y: this.y,
-            time: Date.now()
-        });
+            time: this.time
+        };
+        this.positionHistory.push(sample);
         if (this.positionHistory.length > this.historyMaxLength) {
             this.positionHistory.shift();
         }
+        this.warnings.addSample(sample);
     }
 
     /**
-     * Update oscillation and recovery metrics
-     * These are the "early warning signals" for tipping
+     * Update distance from equilibrium (the early warning signals update
+     * themselves as samples arrive)
      */
     _updateMetrics() {
-        if (this.positionHistory.length < 30) return;
-
-        // Calculate oscillation amplitude (variance of position)
-        const recentPositions = this.positionHistory.slice(-30);
-
-        // Find mean position
-        let meanX = 0, meanY = 0;
-        for (const pos of recentPositions) {
-            meanX += pos.x;
-            meanY += pos.y;
-        }
-        meanX /= recentPositions.length;
-        meanY /= recentPositions.length;
-
-        // Calculate variance (oscillation amplitude)
-        let variance = 0;
-        for (const pos of recentPositions) {
-            const dx = pos.x - meanX;
-            const dy = pos.y - meanY;
-            variance += dx * dx + dy * dy;
-        }
-        variance /= recentPositions.length;
-
-        // Normalize to 0-1 range (assuming max variance of ~2500)
-        this.oscillationAmplitude = Math.min(1, Math.sqrt(variance) / 50);
-
-        // Calculate recovery rate (autocorrelation / return time)
-        // Higher values = faster recovery = more stable
-        const currentSpeed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
-
-        // If ball is nearly stationary, recovery is fast
-        // If ball keeps moving, recovery is slow (critical slowing down)
-        this.recoveryRate = Math.max(0, 1 - (currentSpeed / Ball.MAX_VELOCITY));
-
-        // Smooth the metrics
         this.distanceFromEquilibrium = Math.sqrt(
             Math.pow(this.x - this.equilibriumPosition.x, 2) +
             Math.pow(this.y - this.equilibriumPosition.y, 2)
@@ -305,7 +313,7 @@ class Ball {
     applyImpulse(fx, fy) {
         this.vx += fx;
         this.vy += fy;
-        this.lastPerturbationTime = Date.now();
+        this._markPerturbation();
     }
 
     /**
@@ -314,17 +322,21 @@ class Ball {
     setPosition(x, y) {
         this.x = x;
         this.y = y;
+        this.prevX = x;
+        this.prevY = y;
         this.vx = 0;
         this.vy = 0;
+        this.speedLimit = Ball.MAX_VELOCITY;
         this.trail = [];
         this.positionHistory = [];
+        this.warnings.reset();
     }
 
     /**
      * Move ball to a specific hex
      */
-    moveToHex(q, r) {
-        const pos = this.grid.hexToPixel(q, r);
+    moveToHex(col, row) {
+        const pos = this.grid.hexToPixel(col, row);
         this.setPosition(pos.x, pos.y);
         this.setEquilibrium();
     }
@@ -346,18 +358,26 @@ class Ball {
 
     /**
      * Draw the ball with optional trail
+     * @param {number} alpha - 0 to 1, how far between the previous and current
+     *   physics step to draw (see SimulationClock.alpha)
+     * @param {Function} project - Maps a board point (x, y) to the screen;
+     *   defaults to subtracting viewOffset (see LandscapeRenderer.project)
      */
-    draw(ctx, showTrail = true, viewOffset = { x: 0, y: 0 }) {
-        const x = this.x - viewOffset.x;
-        const y = this.y - viewOffset.y;
+    draw(ctx, showTrail = true, viewOffset = { x: 0, y: 0 }, alpha = 1, project = null) {
+        const toScreen = project || ((px, py) => ({ x: px - viewOffset.x, y: py - viewOffset.y }));
+        const { x, y } = toScreen(
+            this.prevX + (this.x - this.prevX) * alpha,
+            this.prevY + (this.y - this.prevY) * alpha
+        );
 
         // Draw trail
         if (showTrail && this.trail.length > 1) {
+            const trail = this.trail.map(point => toScreen(point.x, point.y));
             ctx.beginPath();
-            ctx.moveTo(this.trail[0].x - viewOffset.x, this.trail[0].y - viewOffset.y);
+            ctx.moveTo(trail[0].x, trail[0].y);
 
-            for (let i = 1; i < this.trail.length; i++) {
-                ctx.lineTo(this.trail[i].x - viewOffset.x, this.trail[i].y - viewOffset.y);
+            for (let i = 1; i < trail.length; i++) {
+                ctx.lineTo(trail[i].x, trail[i].y);
             }
 
             ctx.strokeStyle = this.trailColor;
@@ -371,7 +391,7 @@ class Ball {
                 const size = this.radius * 0.3 * (i / this.trail.length);
 
                 ctx.beginPath();
-                ctx.arc(this.trail[i].x - viewOffset.x, this.trail[i].y - viewOffset.y, size, 0, Math.PI * 2);
+                ctx.arc(trail[i].x, trail[i].y, size, 0, Math.PI * 2);
                 ctx.fillStyle = `rgba(74, 144, 217, ${alpha})`;
                 ctx.fill();
             }
@@ -432,16 +452,33 @@ class Ball {
             ctx.moveTo(x + 8, y - 8);
             ctx.lineTo(x - 8, y + 8);
             ctx.stroke();
+        } else if (this.ruinCell) {
+            // Trapped, but not lost
+            ctx.beginPath();
+            ctx.arc(x, y, this.radius + 5, 0, Math.PI * 2);
+            ctx.strokeStyle = '#E8A838';
+            ctx.lineWidth = 3;
+            ctx.setLineDash([5, 5]);
+            ctx.stroke();
+            ctx.setLineDash([]);
         }
     }
 
     /**
      * Get wobble metrics for UI display
+     * @returns {Object} Early warning signals (see EarlyWarningSignals) plus
+     *   speed and distance from equilibrium; ready is false until the
+     *   rolling window has filled
      */
     getWobbleMetrics() {
+        const warnings = this.warnings;
         return {
-            oscillation: this.oscillationAmplitude,
-            recovery: this.recoveryRate,
+            ready: warnings.isReady(),
+            variance: warnings.variance,
+            autocorrelation: warnings.autocorrelation,
+            skewness: warnings.skewness,
+            returnTime: warnings.returnTime,
+            trends: warnings.getTrends(),
             speed: Math.sqrt(this.vx * this.vx + this.vy * this.vy),
             distanceFromEquilibrium: this.distanceFromEquilibrium
         };
@@ -450,18 +487,26 @@ class Ball {
     /**
      * Reset ball state
      */
-    reset(q, r) {
-        const pos = this.grid.hexToPixel(q, r);
+    reset(col, row) {
+        const pos = this.grid.hexToPixel(col, row);
         this.x = pos.x;
         this.y = pos.y;
+        this.prevX = pos.x;
+        this.prevY = pos.y;
         this.vx = 0;
         this.vy = 0;
+        this.speedLimit = Ball.MAX_VELOCITY;
         this.trail = [];
         this.positionHistory = [];
         this.isInRuin = false;
+        this.ruinCell = null;
+        this.ruinTime = 0;
         this.noiseLevel = 0;
-        this.oscillationAmplitude = 0;
-        this.recoveryRate = 1;
+        this.noise.reset();
+        this.warnings.reset();
+        this.time = 0; // So a replay times return after a kick exactly as before
+        this.lastPerturbationTime = 0;
+        this.isMoving = false;
         this.equilibriumPosition = { x: pos.x, y: pos.y };
     }
 }
@@ -0,0 +1,245 @@
+/**
+ * BasinAnalysis - Where the attractors are
+ *
+ * Every hex drains by steepest descent to a lowest neighbour until it
+ * reaches a local minimum. All hexes that drain to the same minimum form
+ * a basin of attraction: the valley a ball resting there ends up in.
+ *
+ * - Flat ground drains toward the nearest edge where it can go lower;
+ *   flat ground with no way down is a minimum of its own.
+ * - Ruin is a sink. Each connected patch of ruin is a basin, flagged isRuin.
+ *
+ * For each basin the analysis reports its size, its depth (how far the
+ * floor sits below the lowest point where it spills over into another
+ * basin or off the grid), and whether it borders ruin.
+ *
+ * The analysis is a snapshot: run it again after the landscape changes.
+ */
+
+class BasinAnalysis {
+    /**
+     * @param {HexGrid} grid - The landscape to analyse
+     */
+    constructor(grid) {
+        this.grid = grid;
+        this.basins = [];
+        this.basinOf = new Map(); // cell -> basin
+        this.downhill = new Map(); // cell -> next cell downhill, null at a minimum
+    }
+
+    /**
+     * Find minima and assign every hex to a basin
+     * @returns {BasinAnalysis} this, for chaining
+     */
+    analyze() {
+        this.basins = [];
+        this.basinOf = new Map();
+        this.downhill = new Map();
+
+        const terminals = this._findDescent();
+        this._assignBasins(terminals);
+        this._measureBasins();
+        return this;
+    }
+
+    /**
+     * The basin a hex drains into
+     * @returns {Object|null}
+     */
+    basinAt(col, row) {
+        const cell = this.grid.getHex(col, row);
+        return cell ? this.basinOf.get(cell) : null;
+    }
+
+    /**
+     * Basins that are valleys rather than ruin
+     */
+    getAttractors() {
+        return this.basins.filter(basin => !basin.isRuin);
+    }
+
+    /**
+     * Basins made of ruin
+     */
+    getRuinBasins() {
+        return this.basins.filter(basin => basin.isRuin);
+    }
+
+    /**
+     * Hexes a ball at this hex passes on its way down, ending at the floor
+     */
+    getDescentPath(col, row) {
+        const path = [];
+        let cell = this.grid.getHex(col, row);
+        while (cell) {
+            path.push(cell);
+            cell = this.downhill.get(cell);
+        }
+        return path;
+    }
+
+    /**
+     * Point each hex at the neighbour it drains to
+     * @returns {HexCell[][]} Groups of hexes that drain nowhere (minima)
+     */
+    _findDescent() {
+        const cells = this.grid.getAllCells();
+        const terminals = [];
+        const flat = [];
+
+        for (const cell of cells) {
+            if (cell.isRuin) {
+                this.downhill.set(cell, null);
+                continue;
+            }
+
+            let lowest = null;
+            for (const n of this.grid.getNeighbors(cell.col, cell.row)) {
+                if (n.elevation < cell.elevation && (!lowest || n.elevation < lowest.elevation)) {
+                    lowest = n;
+                }
+            }
+            this.downhill.set(cell, lowest);
+            if (!lowest) flat.push(cell);
+        }
+
+        // Ruin patches are sinks
+        const seenRuin = new Set();
+        for (const cell of cells) {
+            if (cell.isRuin && !seenRuin.has(cell)) {
+                terminals.push(this._floodFill(cell, n => n.isRuin, seenRuin));
+            }
+        }
+
+        // Hexes with no lower neighbour: drain across the plateau to its
+        // nearest exit, or form a minimum if the plateau has none
+        const seenFlat = new Set();
+        for (const cell of flat) {
+            if (seenFlat.has(cell)) continue;
+
+            const plateau = this._floodFill(
+                cell,
+                n => !n.isRuin && n.elevation === cell.elevation,
+                seenFlat
+            );
+            const exits = plateau.filter(c => this.downhill.get(c));
+            if (exits.length) {
+                this._drainPlateau(plateau, exits);
+            } else {
+                terminals.push(plateau);
+            }
+        }
+
+        return terminals;
+    }
+
+    /**
+     * Breadth-first from the exits, so each plateau hex steps toward the
+     * nearest one
+     */
+    _drainPlateau(plateau, exits) {
+        const inPlateau = new Set(plateau);
+        const reached = new Set(exits);
+        let frontier = exits;
+
+        while (frontier.length) {
+            const next = [];
+            for (const cell of frontier) {
+                for (const n of this.grid.getNeighbors(cell.col, cell.row)) {
+                    if (inPlateau.has(n) && !reached.has(n)) {
+                        reached.add(n);
+                        this.downhill.set(n, cell);
+                        next.push(n);
+                    }
+                }
+            }
+            frontier = next;
+        }
+    }
+
+    _floodFill(start, include, seen) {
+        const group = [start];
+        seen.add(start);
+        for (let i = 0; i < group.length; i++) {
+            const cell = group[i];
+            for (const n of this.grid.getNeighbors(cell.col, cell.row)) {
+                if (!seen.has(n) && include(n)) {
+                    seen.add(n);
+                    group.push(n);
+                }
+            }
+        }
+        return group;
+    }
+
+    _assignBasins(terminals) {
+        for (const floor of terminals) {
+            const basin = {
+                id: this.basins.length,
+                floor,
+                cells: [],
+                isRuin: floor[0].isRuin,
+                minElevation: floor[0].elevation,
+                size: 0,
+                spillElevation: Infinity,
+                depth: 0,
+                touchesRuin: false,
+                ruinContacts: 0
+            };
+            this.basins.push(basin);
+            for (const cell of floor) this.basinOf.set(cell, basin);
+        }
+
+        for (const cell of this.grid.getAllCells()) {
+            // Walk down until reaching a hex whose basin is known
+            const path = [];
+            let current = cell;
+            while (!this.basinOf.has(current)) {
+                path.push(current);
+                current = this.downhill.get(current);
+            }
+            const basin = this.basinOf.get(current);
+            for (const c of path) this.basinOf.set(c, basin);
+        }
+
+        for (const [cell, basin] of this.basinOf) {
+            basin.cells.push(cell);
+        }
+    }
+
+    /**
+     * Size, spill point, depth and ruin contact of each basin. A basin
+     * spills where it meets another basin (at the higher of the two hexes)
+     * or at its lowest hex on the grid edge (ruin never spills off the grid).
+     */
+    _measureBasins() {
+        for (const basin of this.basins) {
+            basin.size = basin.cells.length;
+
+            for (const cell of basin.cells) {
+                const neighbors = this.grid.getNeighbors(cell.col, cell.row);
+                if (neighbors.length < 6 && !cell.isRuin) {
+                    basin.spillElevation = Math.min(basin.spillElevation, cell.elevation);
+                }
+
+                let bordersRuin = false;
+                for (const n of neighbors) {
+                    if (this.basinOf.get(n) !== basin) {
+                        const pass = Math.max(cell.elevation, n.elevation);
+                        basin.spillElevation = Math.min(basin.spillElevation, pass);
+                    }
+                    if (n.isRuin && !cell.isRuin) bordersRuin = true;
+                }
+                if (bordersRuin) basin.ruinContacts++;
+            }
+
+            basin.touchesRuin = basin.ruinContacts > 0;
+            basin.depth = Number.isFinite(basin.spillElevation)
+                ? basin.spillElevation - basin.minElevation
+                : 0;
+        }
+    }
+}
+
+// Export for use in other modules
+window.BasinAnalysis = BasinAnalysis;
@@ -0,0 +1,321 @@
+/**
+ * BeliefMap - What the player has worked out about the ground under fog
+ *
+ * Fog hides the landscape, but not the ball, and the ball only moves the
+ * way the ground makes it. Two layers sit alongside FogSystem:
+ * - inferred: read from the ball's trajectory. Each step, the change in
+ *   the ball's velocity (less friction) gives the slope under it; adding
+ *   up slope times distance travelled since the ball left ground the
+ *   player can see gives its depth. Depths are of the smooth field the
+ *   ball rolls on (see HexGrid.sampleElevation) at each hex centre, so are
+ *   shallower than a deep hex's own level. Kicks from noise are too sudden
+ *   to be ground, and are left out. Beliefs average over recent steps
+ *   only, as the ground erodes.
+ * - guesses: what the player marks on hexes themselves, as an elevation
+ *   or as ruin.
+ *
+ * When fog lifts, score() checks both against the truth.
+ */
+
+class BeliefMap {
+    static MIN_SAMPLES = 20;     // Steps on a hex before its inferred belief is shown
+    static MEMORY = 120;         // Steps a belief averages over; older ones fade
+    static MAX_SLOPE = 4;        // Levels per hex; steeper implied slopes are kicks, not ground
+    static GUESS_TOLERANCE = 1;  // Levels a guess may be off and still count as right
+    static COLOR = '#9B6BD9';
+
+    /**
+     * @param {HexGrid} grid - The hidden landscape
+     */
+    constructor(grid) {
+        this.grid = grid;
+        this.showInferred = true;
+
+        this.beliefs = new Map(); // cell.key -> { slope: { x, y }, samples, elevation, depthSamples }
+        this.guesses = new Map(); // cell.key -> elevation (-3 to 3) or 'ruin'
+        this.results = new Map(); // cell.key -> whether the guess was right, once scored
+
+        this.lastVelocity = null; // Ball velocity at the previous step
+        this.traced = null;       // Elevation under the ball, traced from known ground
+    }
+
+    /**
+     * Forget everything, e.g. for a new landscape
+     */
+    reset() {
+        this.beliefs.clear();
+        this.guesses.clear();
+        this.results.clear();
+        this.lastVelocity = null;
+        this.traced = null;
+    }
+
+    /**
+     * Learn from one step of the ball. Call after every ball.update(dt).
+     * @param {Ball} ball
+     * @param {number} dt - The step's length in ms
+     */
+    observe(ball, dt) {
+        const timeScale = dt / 16.67;
+        const velocity = { x: (ball.x - ball.prevX) / timeScale, y: (ball.y - ball.prevY) / timeScale };
+        const previous = this.lastVelocity;
+        this.lastVelocity = velocity;
+
+        // The ball felt the slope where it started the step
+        const cell = this.grid.getHexAtPixel(ball.prevX, ball.prevY);
+        if (!cell || ball.isInRuin || ball.ruinCell) {
+            this.traced = null;
+            return;
+        }
+
+        // On ground the player can see, the height under the ball is known
+        if (cell.isRevealed && !cell.estimate && !cell.isStale) {
+            this.traced = this.grid.sampleElevation(ball.prevX, ball.prevY);
+        }
+
+        // Undo the step: v = (v' - slope * push) * friction, plus any kick
+        let slope = null;
+        const speed = Math.hypot(velocity.x, velocity.y);
+        if (previous && speed < Ball.MAX_VELOCITY) {
+            const friction = Math.pow(Ball.FRICTION, timeScale);
+            const push = Ball.GRAVITY * timeScale; // Per level per hex
+            slope = {
+                x: (previous.x - velocity.x / friction) / push,
+                y: (previous.y - velocity.y / friction) / push
+            };
+            if (Math.hypot(slope.x, slope.y) > BeliefMap.MAX_SLOPE) slope = null;
+        }
+
+        // On a kick, fall back on what is already believed here
+        const belief = this.beliefs.get(cell.key);
+        const known = slope || (belief && belief.samples >= BeliefMap.MIN_SAMPLES ? belief.slope : null);
+        if (known && this.traced !== null) {
+            const dx = ball.x - ball.prevX;
+            const dy = ball.y - ball.prevY;
+            this.traced += (known.x * dx + known.y * dy) / this.grid.xSpacing;
+        } else {
+            this.traced = null;
+        }
+
+        if (!slope) return;
+
+        // Carry the depth back along the slope to the hex centre
+        let elevation = null;
+        if (this.traced !== null) {
+            const center = this.grid.hexToPixel(cell.col, cell.row);
+            elevation = this.traced - (slope.x * (ball.x - center.x) + slope.y * (ball.y - center.y)) / this.grid.xSpacing;
+        }
+        this._record(cell, slope, elevation);
+    }
+
+    _record(cell, slope, elevation) {
+        let belief = this.beliefs.get(cell.key);
+        if (!belief) {
+            belief = { slope: { x: 0, y: 0 }, samples: 0, elevation: null, depthSamples: 0 };
+            this.beliefs.set(cell.key, belief);
+        }
+
+        belief.samples++;
+        const w = 1 / Math.min(belief.samples, BeliefMap.MEMORY);
+        belief.slope.x += (slope.x - belief.slope.x) * w;
+        belief.slope.y += (slope.y - belief.slope.y) * w;
+
+        if (elevation !== null) {
+            belief.depthSamples++;
+            const wd = 1 / Math.min(belief.depthSamples, BeliefMap.MEMORY);
+            belief.elevation = belief.elevation === null ? elevation : belief.elevation + (elevation - belief.elevation) * wd;
+        }
+    }
+
+    /**
+     * What the ball has shown of a hex
+     * @returns {Object|null} { slope: { x, y } uphill, in levels per hex,
+     *   elevation at the centre (null if depth couldn't be traced),
+     *   samples }; null until the ball has spent MIN_SAMPLES steps there
+     */
+    getBelief(col, row) {
+        const belief = this.beliefs.get(`${col},${row}`);
+        if (!belief || belief.samples < BeliefMap.MIN_SAMPLES) return null;
+
+        return {
+            slope: { ...belief.slope },
+            elevation: belief.depthSamples >= BeliefMap.MIN_SAMPLES ? belief.elevation : null,
+            samples: belief.samples
+        };
+    }
+
+    /**
+     * Mark the player's guess for a hex
+     * @param {number|string|null} value - Elevation (-3 to 3), 'ruin', or
+     *   null to clear
+     */
+    guess(col, row, value) {
+        const cell = this.grid.getHex(col, row);
+        if (!cell) return;
+
+        if (value === null) {
+            this.guesses.delete(cell.key);
+        } else if (value === 'ruin' || (Number.isFinite(value) && value >= -3 && value <= 3)) {
+            this.guesses.set(cell.key, value);
+        } else {
+            throw new Error(`Unknown guess "${value}"`);
+        }
+        this.results.delete(cell.key);
+    }
+
+    getGuess(col, row) {
+        return this.guesses.get(`${col},${row}`) ?? null;
+    }
+
+    /**
+     * Check guesses and inferred depths against the truth, e.g. once fog lifts
+     * @returns {Object} { guesses: { count, correct, meanError },
+     *   inferred: { count, meanError } }; meanError is in levels, and null
+     *   when there is nothing to average
+     */
+    score() {
+        let correct = 0;
+        let guessError = 0;
+        let guessed = 0;
+        this.results.clear();
+        for (const [key, value] of this.guesses) {
+            const cell = this.grid.cells.get(key);
+            let right;
+            if (value === 'ruin') {
+                right = cell.isRuin;
+            } else {
+                const error = Math.abs(value - cell.elevation);
+                right = !cell.isRuin && error <= BeliefMap.GUESS_TOLERANCE;
+                guessError += error;
+                guessed++;
+            }
+            this.results.set(key, right);
+            if (right) correct++;
+        }
+
+        let inferredError = 0;
+        let inferred = 0;
+        for (const cell of this.grid.getAllCells()) {
+            const belief = this.getBelief(cell.col, cell.row);
+            if (belief && belief.elevation !== null) {
+                const center = this.grid.hexToPixel(cell.col, cell.row);
+                inferredError += Math.abs(belief.elevation - this.grid.sampleElevation(center.x, center.y));
+                inferred++;
+            }
+        }
+
+        return {
+            guesses: { count: this.guesses.size, correct, meanError: guessed ? guessError / guessed : null },
+            inferred: { count: inferred, meanError: inferred ? inferredError / inferred : null }
+        };
+    }
+
+    /**
+     * Draw inferred slopes and depths over ground the player can't see,
+     * and the player's guesses (ticked or crossed once scored)
+     * @param {Function} project - Maps a board point (x, y) to the screen
+     *   (see LandscapeRenderer.project); defaults to the flat board
+     */
+    draw(ctx, project = null) {
+        const toScreen = project || ((x, y) => ({ x, y }));
+        const size = this.grid.sideLength;
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        for (const cell of this.grid.getAllCells()) {
+            const center = this.grid.hexToPixel(cell.col, cell.row);
+            const belief = this.getBelief(cell.col, cell.row);
+
+            if (this.showInferred && belief && (!cell.isRevealed || cell.isStale)) {
+                // Arrow downhill, longer where steeper
+                const steepness = Math.hypot(belief.slope.x, belief.slope.y);
+                if (steepness >= LandscapeOverlays.MIN_SLOPE) {
+                    const length = Math.min(1, steepness / LandscapeOverlays.FULL_SLOPE) * this.grid.hexRadius * 0.7;
+                    const ux = -belief.slope.x / steepness;
+                    const uy = -belief.slope.y / steepness;
+                    ctx.strokeStyle = BeliefMap.COLOR;
+                    ctx.fillStyle = BeliefMap.COLOR;
+                    ctx.lineWidth = 2;
+                    ctx.setLineDash([3, 2]);
+                    LandscapeOverlays.arrow(ctx,
+                        toScreen(center.x - ux * length / 2, center.y - uy * length / 2),
+                        toScreen(center.x + ux * length / 2, center.y + uy * length / 2));
+                    ctx.setLineDash([]);
+                }
+                if (belief.elevation !== null) {
+                    const label = toScreen(center.x, center.y + size * 0.55);
+                    ctx.fillStyle = BeliefMap.COLOR;
+                    ctx.font = `${Math.max(9, Math.round(size * 0.3))}px "Work Sans", sans-serif`;
+                    ctx.fillText(`≈${belief.elevation.toFixed(1)}`, label.x, label.y);
+                }
+            }
+
+            const guess = this.getGuess(cell.col, cell.row);
+            if (guess !== null) {
+                const p = toScreen(center.x, center.y - size * 0.4);
+                const result = this.results.get(cell.key);
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, size * 0.28, 0, Math.PI * 2);
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+                ctx.fill();
+                ctx.strokeStyle = result === undefined ? BeliefMap.COLOR : (result ? '#45B7A0' : '#E84855');
+                ctx.lineWidth = 2;
+                ctx.stroke();
+
+                ctx.fillStyle = '#1A1A2E';
+                ctx.font = `bold ${Math.max(9, Math.round(size * 0.3))}px "Work Sans", sans-serif`;
+                ctx.fillText(BeliefMap.label(guess), p.x, p.y);
+            }
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Short text for a guess: 'R' for ruin, signed levels otherwise
+     */
+    static label(guess) {
+        if (guess === 'ruin') return 'R';
+        return guess > 0 ? `+${guess}` : String(guess);
+    }
+
+    /**
+     * Wire a guess palette to a belief map
+     * @param {HTMLElement} element - Holds buttons with data-guess="-3" ...
+     *   "3", "ruin" or "clear", and an optional checkbox with
+     *   data-layer="inferred"
+     * @param {BeliefMap} belief
+     * @param {Function} onSelect - Called with the chosen guess (a number,
+     *   'ruin' or null to clear), or undefined when the palette is put away
+     */
+    static bindTools(element, belief, onSelect) {
+        if (!element) return;
+
+        const buttons = element.querySelectorAll('[data-guess]');
+        buttons.forEach(button => {
+            // Assigned rather than added, so re-initialising an act doesn't stack handlers
+            button.onclick = () => {
+                const wasActive = button.classList.contains('active');
+                buttons.forEach(b => b.classList.remove('active'));
+                if (wasActive) {
+                    onSelect(undefined);
+                    return;
+                }
+                button.classList.add('active');
+                const value = button.dataset.guess;
+                onSelect(value === 'clear' ? null : (value === 'ruin' ? value : Number(value)));
+            };
+            button.classList.remove('active');
+        });
+
+        const inferred = element.querySelector('input[data-layer="inferred"]');
+        if (inferred) {
+            inferred.onchange = () => { belief.showInferred = inferred.checked; };
+            belief.showInferred = inferred.checked;
+        }
+    }
+}
+
+// Export for use in other modules
+window.BeliefMap = BeliefMap;
@@ -0,0 +1,209 @@
+/**
+ * TimeSeriesChart - Signals over time, under an act's canvas
+ *
+ * An instantaneous bar flickers; a line over the last few seconds shows a
+ * signal building. Each series gets its own lane, and all lanes share one
+ * time axis, so a spike in one can be lined up with a jump in another.
+ * Events (erosion, shocks, evacuation) are drawn as vertical markers
+ * across every lane.
+ *
+ * Series read their value through a callback, so a chart can plot any Ball
+ * metric or grid quantity. Time is whatever the act passes in, normally its
+ * SimulationClock's time.
+ */
+
+class TimeSeriesChart {
+    static DEFAULTS = {
+        window: 20000,      // ms of history shown
+        sampleInterval: 100, // ms between samples
+        laneHeight: 44,     // px per series
+        axisHeight: 18,     // px for the time axis
+        tickInterval: 5000  // ms between time-axis ticks
+    };
+
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     * @param {Object} options - Overrides for DEFAULTS, plus:
+     * @param {number} options.width - Canvas width in px
+     * @param {Array} options.series - [{ name, label, color, value: () => number|null,
+     *   min, max, format: (v) => string }]; leave min/max out to fit the data
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.options = { ...TimeSeriesChart.DEFAULTS, ...options };
+        this.series = (options.series || []).map(s => ({ color: '#4A90D9', ...s, points: [] }));
+        this.markers = []; // { time, label, color }
+        this.lastSampleTime = null;
+        this.now = 0;
+
+        this.canvas.width = options.width || 400;
+        this.canvas.height = this.series.length * this.options.laneHeight + this.options.axisHeight;
+    }
+
+    /**
+     * Record every series' current value (throttled to sampleInterval)
+     * @param {number} time - ms
+     */
+    sample(time) {
+        this.now = time;
+        if (this.lastSampleTime !== null && time - this.lastSampleTime < this.options.sampleInterval) {
+            return;
+        }
+        this.lastSampleTime = time;
+
+        for (const series of this.series) {
+            const value = series.value();
+            series.points.push({ time, value: Number.isFinite(value) ? value : null });
+        }
+        this._trim();
+    }
+
+    /**
+     * Mark an event on the shared time axis
+     * @param {number} time - ms
+     * @param {string} label - Short text, e.g. 'erosion'
+     * @param {string} color
+     */
+    mark(time, label = '', color = '#8888A0') {
+        this.markers.push({ time, label, color });
+        this._trim();
+    }
+
+    /**
+     * Clear all data, e.g. at the start of a round
+     */
+    reset() {
+        for (const series of this.series) {
+            series.points = [];
+        }
+        this.markers = [];
+        this.lastSampleTime = null;
+    }
+
+    _trim() {
+        const oldest = this.now - this.options.window;
+        for (const series of this.series) {
+            while (series.points.length && series.points[0].time < oldest) {
+                series.points.shift();
+            }
+        }
+        while (this.markers.length && this.markers[0].time < oldest) {
+            this.markers.shift();
+        }
+    }
+
+    /**
+     * Draw all lanes, markers and the time axis
+     */
+    draw() {
+        const ctx = this.ctx;
+        const { window, laneHeight, axisHeight, tickInterval } = this.options;
+        const width = this.canvas.width;
+        const plotHeight = this.series.length * laneHeight;
+        const toX = (time) => width - ((this.now - time) / window) * width;
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, width, this.canvas.height);
+
+        // Lanes
+        this.series.forEach((series, i) => {
+            const top = i * laneHeight;
+            this._drawLane(series, top, toX);
+
+            if (i > 0) {
+                ctx.strokeStyle = '#EEEEEE';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(0, top + 0.5);
+                ctx.lineTo(width, top + 0.5);
+                ctx.stroke();
+            }
+        });
+
+        // Event markers across every lane
+        ctx.font = '10px "Work Sans", sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        for (const marker of this.markers) {
+            const x = Math.round(toX(marker.time)) + 0.5;
+            ctx.strokeStyle = marker.color;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, plotHeight);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            if (marker.label) {
+                ctx.fillStyle = marker.color;
+                ctx.fillText(marker.label, x + 2, plotHeight - 12);
+            }
+        }
+
+        // Shared time axis, in seconds before now
+        ctx.fillStyle = '#8888A0';
+        ctx.strokeStyle = '#DDDDDD';
+        ctx.beginPath();
+        ctx.moveTo(0, plotHeight + 0.5);
+        ctx.lineTo(width, plotHeight + 0.5);
+        ctx.stroke();
+        ctx.textBaseline = 'middle';
+        for (let ago = 0; ago <= window; ago += tickInterval) {
+            const x = toX(this.now - ago);
+            ctx.textAlign = ago === 0 ? 'right' : (ago === window ? 'left' : 'center');
+            ctx.fillText(ago === 0 ? 'now' : `-${ago / 1000}s`, x - (ago === 0 ? 2 : 0), plotHeight + axisHeight / 2);
+        }
+    }
+
+    _drawLane(series, top, toX) {
+        const ctx = this.ctx;
+        const { laneHeight } = this.options;
+        const values = series.points.map(p => p.value).filter(v => v !== null);
+
+        // Fit the range to the data unless fixed
+        let min = series.min ?? Math.min(...values);
+        let max = series.max ?? Math.max(...values);
+        if (!Number.isFinite(min) || !Number.isFinite(max)) {
+            min = 0;
+            max = 1;
+        }
+        if (max - min < 1e-9) {
+            max = min + 1;
+        }
+        const toY = (v) => top + laneHeight - 4 - ((v - min) / (max - min)) * (laneHeight - 16);
+
+        ctx.strokeStyle = series.color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let drawing = false;
+        for (const point of series.points) {
+            if (point.value === null) {
+                drawing = false;
+                continue;
+            }
+            const x = toX(point.time);
+            const y = toY(Math.max(min, Math.min(max, point.value)));
+            if (drawing) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                drawing = true;
+            }
+        }
+        ctx.stroke();
+
+        // Label with the latest value
+        const last = series.points[series.points.length - 1];
+        const format = series.format || (v => v.toFixed(2));
+        const text = last && last.value !== null ? `${series.label}: ${format(last.value)}` : series.label;
+        ctx.font = '11px "Work Sans", sans-serif';
+        ctx.fillStyle = '#4A4A68';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(text, 4, top + 2);
+    }
+}
+
+// Export for use in other modules
+window.TimeSeriesChart = TimeSeriesChart;
@@ -0,0 +1,139 @@
+/**
+ * SimulationClock - Fixed-step time for physics, schedules and act timers
+ *
+ * Screens refresh at 60, 120 or 144 Hz and busy tabs drop frames, so
+ * stepping physics once per animation frame makes the ball behave
+ * differently on every machine. The clock instead collects real elapsed
+ * time and runs the physics in fixed steps; drawing then interpolates
+ * between the last two steps using `alpha`.
+ *
+ * Erosion schedules and act timers run on the same simulated time via
+ * every() and after(), so they stay in step with the ball and pause
+ * whenever the act's animation stops.
+ */
+
+class SimulationClock {
+    static STEP = 16.67;     // ms per physics step (Ball's 60fps reference frame)
+    static MAX_FRAME = 250;  // Longest real frame counted, so a hidden tab doesn't fast-forward
+
+    /**
+     * @param {Object} options
+     * @param {number} options.step - ms per physics step
+     */
+    constructor(options = {}) {
+        this.step = options.step || SimulationClock.STEP;
+        this.time = 0;          // Simulated ms
+        this.accumulator = 0;   // Real ms not yet simulated
+        this.alpha = 0;         // 0 to 1: how far drawing is between the last two steps
+        this.lastTimestamp = null;
+
+        this.timers = new Map(); // id -> { due, interval, callback }
+        this.nextTimerId = 1;
+    }
+
+    /**
+     * Account for one animation frame and run any physics steps it covers
+     * @param {number} timestamp - requestAnimationFrame timestamp (ms)
+     * @param {Function} update - Called with the step length for each step
+     * @returns {number} Steps run this frame
+     */
+    frame(timestamp, update) {
+        if (this.lastTimestamp === null) {
+            this.lastTimestamp = timestamp;
+        }
+        const elapsed = Math.min(SimulationClock.MAX_FRAME, Math.max(0, timestamp - this.lastTimestamp));
+        this.lastTimestamp = timestamp;
+        this.accumulator += elapsed;
+
+        let steps = 0;
+        while (this.accumulator >= this.step) {
+            this.accumulator -= this.step;
+            this.advance(update);
+            steps++;
+        }
+
+        this.alpha = this.accumulator / this.step;
+        return steps;
+    }
+
+    /**
+     * Run exactly one physics step, then any timers that fall due
+     * @param {Function} update - Called with the step length
+     */
+    advance(update) {
+        this.time += this.step;
+        if (update) update(this.step);
+        this._runTimers();
+    }
+
+    /**
+     * Call back repeatedly on simulated time
+     * @returns {number} Timer id for cancel()
+     */
+    every(interval, callback) {
+        return this._addTimer(interval, interval, callback);
+    }
+
+    /**
+     * Call back once after a simulated delay
+     * @returns {number} Timer id for cancel()
+     */
+    after(delay, callback) {
+        return this._addTimer(delay, null, callback);
+    }
+
+    /**
+     * Stop a timer from every() or after()
+     */
+    cancel(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Stop all timers
+     */
+    cancelAll() {
+        this.timers.clear();
+    }
+
+    /**
+     * Forget the last frame time, so the gap while the animation was
+     * stopped isn't simulated when it starts again
+     */
+    sync() {
+        this.lastTimestamp = null;
+        this.accumulator = 0;
+        this.alpha = 0;
+    }
+
+    /**
+     * Back to time zero with no timers
+     */
+    reset() {
+        this.time = 0;
+        this.cancelAll();
+        this.sync();
+    }
+
+    _addTimer(delay, interval, callback) {
+        const id = this.nextTimerId++;
+        this.timers.set(id, { due: this.time + delay, interval, callback });
+        return id;
+    }
+
+    _runTimers() {
+        for (const [id, timer] of this.timers) {
+            if (timer.due > this.time) continue;
+
+            if (timer.interval) {
+                timer.due += timer.interval;
+            } else {
+                this.timers.delete(id);
+            }
+            timer.callback();
+        }
+    }
+}
+
+// Export for use in other modules
+window.SimulationClock = SimulationClock;
@@ -0,0 +1,373 @@
+/**
+ * EarlyWarningSignals - Critical slowing down, measured properly
+ *
+ * As a basin flattens towards a tipping point, the restoring force that
+ * pulls the ball back weakens. The research literature (Scheffer et al.
+ * 2009, Dakos et al. 2012) reads that from the state's time series:
+ * - Variance rises: the same noise pushes the ball further
+ * - Lag-1 autocorrelation rises: each moment looks more like the last
+ * - Skewness grows: the ball strays further towards the weaker side
+ * - Return time after a perturbation gets longer
+ *
+ * The ball's position is sampled at a fixed interval into a rolling window.
+ * Each axis is detrended (so slow drift isn't mistaken for wobble) and the
+ * residuals are projected onto their main direction of motion, giving one
+ * series to compute the indicators on. That direction is an axis with no
+ * preferred end, so skewness is kept as a magnitude only. Return time is timed separately on
+ * every raw sample, from a kick until the displacement falls back to 1/e of
+ * its peak.
+ *
+ * A single value means little; what matters is whether an indicator is
+ * trending up. getTrends() runs Kendall's tau over the recent indicator
+ * history. Successive rolling windows overlap, so the p-value is optimistic;
+ * a trend only counts as rising when tau is also large enough.
+ */
+
+class EarlyWarningSignals {
+    static DEFAULTS = {
+        window: 40,          // Samples per rolling window
+        sampleInterval: 100, // ms between samples (10 Hz)
+        detrend: 'gaussian', // 'gaussian', 'linear' or 'none'
+        bandwidth: 10,       // Gaussian kernel width, in samples
+        historyLength: 300,  // Indicator values kept (30 s at 10 Hz)
+        returnThreshold: 1 / Math.E, // Share of the peak displacement that counts as returned
+        maxReturnTime: 5000, // ms; slower recoveries are recorded as this
+        returnSamples: 5,    // Return times averaged
+        trendWindow: 200,    // Indicator values in the Kendall tau window (20 s)
+        trendAlpha: 0.05,    // Significance level for a rising trend
+        trendMinTau: 0.3     // Smallest tau that counts as rising
+    };
+
+    static INDICATORS = ['variance', 'autocorrelation', 'skewness', 'returnTime'];
+
+    /**
+     * @param {Object} options - Overrides for DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...EarlyWarningSignals.DEFAULTS, ...options };
+        this.kernel = null; // Cached Gaussian weights for the current window length
+        this.reset();
+    }
+
+    /**
+     * Forget all samples, indicators and recoveries
+     */
+    reset() {
+        this.samples = [];       // { x, y, time } at sampleInterval
+        this.lastSampleTime = null;
+        this.history = [];       // { time, variance, autocorrelation, skewness, returnTime }
+        this.trends = null;      // Cached getTrends() result
+        this.trendsTime = null;  // History time the cache was computed at
+
+        this.variance = 0;        // px², along the main direction of motion
+        this.autocorrelation = 0; // Lag-1, -1 to 1
+        this.skewness = 0;        // |skewness|: how lopsided the wobble is, not towards which side
+        this.returnTime = null;   // ms, mean of recent recoveries; null until one is timed
+
+        this.recovery = null;     // Recovery being timed: { start, reference, peak }
+        this.returnTimes = [];
+    }
+
+    /**
+     * Is the rolling window full enough to trust the indicators?
+     */
+    isReady() {
+        return this.samples.length >= this.options.window;
+    }
+
+    /**
+     * Feed one position (call every physics step, e.g. from positionHistory)
+     * @param {Object} sample - { x, y, time }
+     * @returns {boolean} Whether the indicators were recomputed
+     */
+    addSample(sample) {
+        this._trackRecovery(sample);
+
+        if (this.lastSampleTime !== null &&
+            sample.time - this.lastSampleTime < this.options.sampleInterval) {
+            return false;
+        }
+        this.lastSampleTime = sample.time;
+
+        this.samples.push({ x: sample.x, y: sample.y, time: sample.time });
+        if (this.samples.length > this.options.window) {
+            this.samples.shift();
+        }
+        if (!this.isReady()) return false;
+
+        this._compute();
+        this.history.push({
+            time: sample.time,
+            variance: this.variance,
+            autocorrelation: this.autocorrelation,
+            skewness: this.skewness,
+            returnTime: this.returnTime
+        });
+        if (this.history.length > this.options.historyLength) {
+            this.history.shift();
+        }
+        return true;
+    }
+
+    /**
+     * Kendall's tau trend of each indicator over the last trendWindow values.
+     * @returns {Object} { variance, autocorrelation, skewness, returnTime },
+     *   each { tau, p, n, rising }
+     */
+    getTrends() {
+        const last = this.history[this.history.length - 1];
+        const time = last ? last.time : null;
+        if (this.trends && this.trendsTime === time) return this.trends;
+
+        const { trendWindow, trendAlpha, trendMinTau } = this.options;
+        const recent = this.history.slice(-trendWindow);
+        const trends = {};
+        for (const name of EarlyWarningSignals.INDICATORS) {
+            const values = recent.map(entry => entry[name]).filter(v => v !== null);
+
+            // Too short a history says nothing either way
+            const result = values.length >= trendWindow / 2
+                ? EarlyWarningSignals.kendallTau(values)
+                : { tau: 0, z: 0, p: 1, n: values.length };
+            result.rising = result.tau >= trendMinTau && result.p < trendAlpha;
+            trends[name] = result;
+        }
+
+        this.trends = trends;
+        this.trendsTime = time;
+        return trends;
+    }
+
+    /**
+     * Start timing a recovery
+     * @param {number} time - When the kick happened (ms)
+     * @param {Object} reference - { x, y } the position the ball should return to
+     */
+    perturb(time, reference) {
+        this.recovery = { start: time, reference: { x: reference.x, y: reference.y }, peak: 0 };
+    }
+
+    _trackRecovery(sample) {
+        const recovery = this.recovery;
+        if (!recovery) return;
+
+        const elapsed = sample.time - recovery.start;
+        const d = Math.hypot(sample.x - recovery.reference.x, sample.y - recovery.reference.y);
+
+        if (d > recovery.peak) {
+            recovery.peak = d;
+        } else if (d <= recovery.peak * this.options.returnThreshold) {
+            this._recordReturn(elapsed);
+            return;
+        }
+        if (elapsed >= this.options.maxReturnTime) {
+            this._recordReturn(this.options.maxReturnTime);
+        }
+    }
+
+    _recordReturn(time) {
+        this.recovery = null;
+        this.returnTimes.push(time);
+        if (this.returnTimes.length > this.options.returnSamples) {
+            this.returnTimes.shift();
+        }
+        this.returnTime = this.returnTimes.reduce((a, b) => a + b, 0) / this.returnTimes.length;
+    }
+
+    _compute() {
+        const { detrend, bandwidth } = this.options;
+        const rx = this._residuals(this.samples.map(s => s.x), detrend, bandwidth);
+        const ry = this._residuals(this.samples.map(s => s.y), detrend, bandwidth);
+        const series = EarlyWarningSignals.principalProjection(rx, ry);
+
+        this.variance = EarlyWarningSignals.variance(series);
+        this.autocorrelation = EarlyWarningSignals.autocorrelation(series, 1);
+        this.skewness = Math.abs(EarlyWarningSignals.skewness(series));
+    }
+
+    _residuals(values, method, bandwidth) {
+        if (method === 'gaussian') {
+            if (!this.kernel || this.kernel.length !== values.length || this.kernel.bandwidth !== bandwidth) {
+                this.kernel = EarlyWarningSignals.gaussianKernel(values.length, bandwidth);
+            }
+            // Plain loops: this runs for every ball, ensembles included
+            const residuals = new Array(values.length);
+            for (let i = 0; i < values.length; i++) {
+                const weights = this.kernel[i];
+                let trend = 0;
+                for (let j = 0; j < values.length; j++) {
+                    trend += weights[j] * values[j];
+                }
+                residuals[i] = values[i] - trend;
+            }
+            return residuals;
+        }
+        return EarlyWarningSignals.detrend(values, method, bandwidth);
+    }
+
+    /**
+     * Remove the slow trend from a series
+     * @param {number[]} values
+     * @param {string} method - 'gaussian', 'linear' or 'none'
+     * @param {number} bandwidth - Gaussian kernel width, in samples
+     * @returns {number[]} Residuals
+     */
+    static detrend(values, method = 'gaussian', bandwidth = 10) {
+        const n = values.length;
+        if (method === 'none' || n < 2) {
+            const mean = values.reduce((a, b) => a + b, 0) / (n || 1);
+            return values.map(v => v - mean);
+        }
+
+        if (method === 'linear') {
+            // Least-squares line against the sample index
+            const meanI = (n - 1) / 2;
+            const meanV = values.reduce((a, b) => a + b, 0) / n;
+            let num = 0, den = 0;
+            for (let i = 0; i < n; i++) {
+                num += (i - meanI) * (values[i] - meanV);
+                den += (i - meanI) * (i - meanI);
+            }
+            const slope = num / den;
+            return values.map((v, i) => v - (meanV + slope * (i - meanI)));
+        }
+
+        const kernel = EarlyWarningSignals.gaussianKernel(n, bandwidth);
+        return values.map((v, i) => v - kernel[i].reduce((sum, w, j) => sum + w * values[j], 0));
+    }
+
+    /**
+     * Normalised Gaussian smoothing weights: row i gives the trend at sample i
+     */
+    static gaussianKernel(n, bandwidth) {
+        const rows = [];
+        for (let i = 0; i < n; i++) {
+            const row = [];
+            let total = 0;
+            for (let j = 0; j < n; j++) {
+                const w = Math.exp(-((i - j) ** 2) / (2 * bandwidth * bandwidth));
+                row.push(w);
+                total += w;
+            }
+            rows.push(row.map(w => w / total));
+        }
+        rows.bandwidth = bandwidth;
+        return rows;
+    }
+
+    /**
+     * Project 2D residuals onto their direction of largest variance
+     * @returns {number[]} One value per sample
+     */
+    static principalProjection(xs, ys) {
+        const n = xs.length;
+        let sxx = 0, syy = 0, sxy = 0;
+        for (let i = 0; i < n; i++) {
+            sxx += xs[i] * xs[i];
+            syy += ys[i] * ys[i];
+            sxy += xs[i] * ys[i];
+        }
+        // Angle of the main axis of the 2x2 covariance matrix
+        const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+        const ux = Math.cos(angle);
+        const uy = Math.sin(angle);
+        return xs.map((x, i) => x * ux + ys[i] * uy);
+    }
+
+    /**
+     * Kendall's tau-b of a series against time, with a two-sided p-value
+     * from the normal approximation (tie-corrected, with continuity correction)
+     * @param {number[]} values - In time order
+     * @returns {Object} { tau, z, p, n }
+     */
+    static kendallTau(values) {
+        const n = values.length;
+        if (n < 3) return { tau: 0, z: 0, p: 1, n };
+
+        let s = 0;
+        for (let i = 0; i < n - 1; i++) {
+            for (let j = i + 1; j < n; j++) {
+                s += Math.sign(values[j] - values[i]);
+            }
+        }
+
+        // Tied values shrink both the denominator and the variance of S
+        const counts = new Map();
+        for (const v of values) {
+            counts.set(v, (counts.get(v) || 0) + 1);
+        }
+        let tiedPairs = 0, tieVariance = 0;
+        for (const t of counts.values()) {
+            tiedPairs += t * (t - 1) / 2;
+            tieVariance += t * (t - 1) * (2 * t + 5);
+        }
+
+        const pairs = n * (n - 1) / 2;
+        const denominator = Math.sqrt(pairs * (pairs - tiedPairs));
+        const tau = denominator > 0 ? s / denominator : 0;
+
+        const varianceS = (n * (n - 1) * (2 * n + 5) - tieVariance) / 18;
+        const z = varianceS > 0 ? (s - Math.sign(s)) / Math.sqrt(varianceS) : 0;
+        const p = 2 * (1 - EarlyWarningSignals.normalCdf(Math.abs(z)));
+
+        return { tau, z, p, n };
+    }
+
+    /**
+     * Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+     */
+    static normalCdf(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+            t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    /**
+     * Population variance
+     */
+    static variance(values) {
+        const n = values.length;
+        if (n === 0) return 0;
+        const mean = values.reduce((a, b) => a + b, 0) / n;
+        return values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n;
+    }
+
+    /**
+     * Autocorrelation at a lag, 0 for a flat series
+     */
+    static autocorrelation(values, lag = 1) {
+        const n = values.length;
+        if (n <= lag) return 0;
+        const mean = values.reduce((a, b) => a + b, 0) / n;
+        let num = 0, den = 0;
+        for (let i = 0; i < n; i++) {
+            const d = values[i] - mean;
+            den += d * d;
+            if (i >= lag) num += d * (values[i - lag] - mean);
+        }
+        return den > 0 ? num / den : 0;
+    }
+
+    /**
+     * Sample skewness, 0 for a flat series
+     */
+    static skewness(values) {
+        const n = values.length;
+        if (n === 0) return 0;
+        const mean = values.reduce((a, b) => a + b, 0) / n;
+        let m2 = 0, m3 = 0;
+        for (const v of values) {
+            const d = v - mean;
+            m2 += d * d;
+            m3 += d * d * d;
+        }
+        m2 /= n;
+        m3 /= n;
+        return m2 > 0 ? m3 / Math.pow(m2, 1.5) : 0;
+    }
+}
+
+// Export for use in other modules
+window.EarlyWarningSignals = EarlyWarningSignals;
@@ -0,0 +1,511 @@
+/**
+ * LandscapeEditor - Paint landscapes directly on an act's canvas
+ *
+ * Lets facilitators author workshop landscapes without touching code:
+ * raise or lower ground with a brush, place ruin, set the ball start,
+ * paint fog, undo/redo, and export the result as a landscape file
+ * (see HexGrid.toJSON) that can be shared and imported again.
+ *
+ * Enabled by opening the page with ?editor in the URL.
+ */
+
+class LandscapeEditor {
+    static TOOLS = {
+        raise: '⬆️ Raise',
+        lower: '⬇️ Lower',
+        ruin: '💀 Ruin',
+        start: '🔵 Start',
+        fog: '🌫️ Fog'
+    };
+    static BRUSH_SIZES = [0, 1, 2]; // Rings painted around the hex under the cursor
+    static STEP = 1;                // Elevation change per hex per stroke
+    static UNDO_LIMIT = 50;
+
+    /**
+     * @param {HTMLCanvasElement} canvas - The act canvas to paint on
+     * @param {HexGrid} grid - The grid being edited
+     * @param {Object} options
+     * @param {Ball} options.ball - Moved to the start hex when it changes
+     * @param {FogSystem} options.fog - Kept in step with painted fog
+     * @param {Function} options.getViewOffset - Returns the act's camera offset
+     * @param {LandscapeRenderer} options.renderer - Held to the flat view while editing
+     */
+    constructor(canvas, grid, options = {}) {
+        this.canvas = canvas;
+        this.grid = grid;
+        this.ball = options.ball || null;
+        this.fog = options.fog || null;
+        this.getViewOffset = options.getViewOffset || (() => ({ x: 0, y: 0 }));
+        this.renderer = options.renderer || null;
+
+        // Editor state
+        this.isEnabled = false;
+        this.tool = 'raise';
+        this.brushSize = 0;
+        this.start = null;
+        if (this.ball) {
+            const hex = this.ball.getCurrentHex();
+            if (hex) this.start = { col: hex.col, row: hex.row };
+        }
+
+        // Stroke state
+        this.isPainting = false;
+        this.strokeCells = new Set();
+        this.strokeMode = null; // Ruin/fog strokes either all add or all remove
+        this.hoverHex = null;
+
+        // Undo/redo snapshots
+        this.undoStack = [];
+        this.redoStack = [];
+
+        this.toolbar = null;
+        this.statusEl = null;
+        this._listeners = [];
+
+        this._buildToolbar();
+        this._setupEventListeners();
+    }
+
+    enable() {
+        this.isEnabled = true;
+        if (this.renderer) this.renderer.lockFlat(true);
+        this.toolbar.classList.add('active');
+        this.canvas.style.cursor = 'crosshair';
+        this._updateToolbar();
+    }
+
+    disable() {
+        this.isEnabled = false;
+        if (this.renderer) this.renderer.lockFlat(false);
+        this.isPainting = false;
+        this.hoverHex = null;
+        this.toolbar.classList.remove('active');
+        this.canvas.style.cursor = 'default';
+        this._updateToolbar();
+    }
+
+    toggle() {
+        if (this.isEnabled) {
+            this.disable();
+        } else {
+            this.enable();
+        }
+    }
+
+    /**
+     * Undo the last stroke
+     */
+    undo() {
+        if (!this.undoStack.length) return;
+        this.redoStack.push(this._snapshot());
+        this._restore(this.undoStack.pop());
+    }
+
+    /**
+     * Redo the last undone stroke
+     */
+    redo() {
+        if (!this.redoStack.length) return;
+        this.undoStack.push(this._snapshot());
+        this._restore(this.redoStack.pop());
+    }
+
+    /**
+     * The landscape as a file, including the ball start
+     */
+    toJSON() {
+        const data = this.grid.toJSON();
+        if (this.start) data.start = { ...this.start };
+        return data;
+    }
+
+    /**
+     * Download the landscape as a .json file
+     */
+    exportLandscape() {
+        const json = JSON.stringify(this.toJSON(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this._fileName()}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        this._setStatus('Exported');
+    }
+
+    /**
+     * Load a landscape file into the grid (must match the grid's size)
+     * @param {Object|string} data - Parsed landscape or its JSON text
+     */
+    importLandscape(data) {
+        const landscape = HexGrid.validateJSON(data);
+        const before = this._snapshot();
+
+        this._load(landscape);
+        this._pushUndo(before);
+
+        if (landscape.start && this.grid.getHex(landscape.start.col, landscape.start.row)) {
+            this._setStart(landscape.start.col, landscape.start.row);
+        }
+        if (this.fog) this.fog.syncFromGrid();
+
+        this._setStatus(`Loaded ${landscape.meta && landscape.meta.name ? landscape.meta.name : 'landscape'}`);
+        this._updateToolbar();
+    }
+
+    /**
+     * Draw elevation labels, the ball start and the brush outline.
+     * Acts call this at the end of their draw.
+     */
+    draw(ctx, viewOffset = { x: 0, y: 0 }) {
+        if (!this.isEnabled) return;
+
+        ctx.save();
+
+        // Elevation labels stay readable through fog
+        ctx.font = `${Math.round(this.grid.sideLength * 0.4)}px "Work Sans", sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (const cell of this.grid.getAllCells()) {
+            const { x, y } = this.grid.hexToPixel(cell.col, cell.row);
+            const label = cell.isRuin
+                ? (cell.ruinType === 'recoverable' ? 'R?' : 'R')
+                : String(Math.round(cell.elevation * 10) / 10);
+            ctx.fillStyle = cell.elevation < -1.5 || cell.isRuin ? 'rgba(255,255,255,0.8)' : 'rgba(26,26,46,0.6)';
+            ctx.fillText(label, x - viewOffset.x, y - viewOffset.y);
+        }
+
+        // Ball start
+        if (this.start) {
+            const { x, y } = this.grid.hexToPixel(this.start.col, this.start.row);
+            ctx.beginPath();
+            ctx.arc(x - viewOffset.x, y - viewOffset.y, this.grid.sideLength * 0.55, 0, Math.PI * 2);
+            ctx.strokeStyle = '#4A90D9';
+            ctx.lineWidth = 3;
+            ctx.setLineDash([4, 4]);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Brush outline
+        if (this.hoverHex) {
+            const size = this.tool === 'start' ? 0 : this.brushSize;
+            for (const cell of this.grid.getRange(this.hoverHex.col, this.hoverHex.row, size)) {
+                const { x, y } = this.grid.hexToPixel(cell.col, cell.row);
+                ctx.beginPath();
+                ctx.arc(x - viewOffset.x, y - viewOffset.y, this.grid.hexRadius * 0.8, 0, Math.PI * 2);
+                ctx.strokeStyle = 'rgba(74, 144, 217, 0.6)';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Remove the toolbar and all listeners
+     */
+    destroy() {
+        for (const { target, type, handler, options } of this._listeners) {
+            target.removeEventListener(type, handler, options);
+        }
+        this._listeners = [];
+        if (this.toolbar) this.toolbar.remove();
+        this.toolbar = null;
+    }
+
+    _buildToolbar() {
+        this.toolbar = document.createElement('div');
+        this.toolbar.className = 'editor-toolbar';
+
+        const toggleBtn = document.createElement('button');
+        toggleBtn.className = 'editor-toggle';
+        toggleBtn.addEventListener('click', () => this.toggle());
+        this.toolbar.appendChild(toggleBtn);
+        this.toggleBtn = toggleBtn;
+
+        const tools = document.createElement('div');
+        tools.className = 'mode-toggle editor-tools';
+        for (const [tool, label] of Object.entries(LandscapeEditor.TOOLS)) {
+            const btn = document.createElement('button');
+            btn.className = 'mode-btn';
+            btn.dataset.tool = tool;
+            btn.textContent = label;
+            btn.addEventListener('click', () => {
+                this.tool = tool;
+                this._updateToolbar();
+            });
+            tools.appendChild(btn);
+        }
+        this.toolbar.appendChild(tools);
+
+        const brushes = document.createElement('div');
+        brushes.className = 'mode-toggle editor-brushes';
+        for (const size of LandscapeEditor.BRUSH_SIZES) {
+            const btn = document.createElement('button');
+            btn.className = 'mode-btn';
+            btn.dataset.brush = size;
+            btn.textContent = `Brush ${size + 1}`;
+            btn.setAttribute('aria-label', `Brush size ${size + 1}`);
+            btn.addEventListener('click', () => {
+                this.brushSize = size;
+                this._updateToolbar();
+            });
+            brushes.appendChild(btn);
+        }
+        this.toolbar.appendChild(brushes);
+
+        const actions = document.createElement('div');
+        actions.className = 'editor-actions';
+
+        this.undoBtn = this._addActionButton(actions, '↶ Undo', () => this.undo());
+        this.redoBtn = this._addActionButton(actions, '↷ Redo', () => this.redo());
+        this._addActionButton(actions, '💾 Export', () => this.exportLandscape());
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.className = 'visually-hidden';
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            file.text()
+                .then(text => this.importLandscape(text))
+                .catch(err => this._setStatus(err.message, true));
+            fileInput.value = '';
+        });
+        actions.appendChild(fileInput);
+        this._addActionButton(actions, '📂 Import', () => fileInput.click());
+
+        this.toolbar.appendChild(actions);
+
+        this.statusEl = document.createElement('span');
+        this.statusEl.className = 'editor-status';
+        this.statusEl.setAttribute('role', 'status');
+        this.toolbar.appendChild(this.statusEl);
+
+        this.canvas.insertAdjacentElement('afterend', this.toolbar);
+        this._updateToolbar();
+    }
+
+    _addActionButton(parent, label, onClick) {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.addEventListener('click', onClick);
+        parent.appendChild(btn);
+        return btn;
+    }
+
+    _updateToolbar() {
+        if (!this.toolbar) return;
+
+        this.toggleBtn.textContent = this.isEnabled ? '✓ Done editing' : '✏️ Edit landscape';
+        this.toolbar.querySelectorAll('[data-tool]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === this.tool);
+        });
+        this.toolbar.querySelectorAll('[data-brush]').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.brush) === this.brushSize);
+        });
+        this.undoBtn.disabled = !this.undoStack.length;
+        this.redoBtn.disabled = !this.redoStack.length;
+    }
+
+    _setStatus(text, isError = false) {
+        if (!this.statusEl) return;
+        this.statusEl.textContent = text;
+        this.statusEl.classList.toggle('error', isError);
+    }
+
+    _setupEventListeners() {
+        // Capture phase, so the act's own click handling never sees edits
+        const listen = (target, type, handler) => {
+            const options = { capture: true, passive: false };
+            target.addEventListener(type, handler, options);
+            this._listeners.push({ target, type, handler, options });
+        };
+
+        const swallow = (e) => {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+        };
+
+        listen(this.canvas, 'mousedown', (e) => {
+            if (!this.isEnabled) return;
+            swallow(e);
+            this._beginStroke(this._eventToHex(e));
+        });
+        listen(this.canvas, 'touchstart', (e) => {
+            if (!this.isEnabled) return;
+            swallow(e);
+            this._beginStroke(this._eventToHex(e));
+        });
+        listen(this.canvas, 'mousemove', (e) => {
+            if (!this.isEnabled) return;
+            swallow(e);
+            this.hoverHex = this._eventToHex(e);
+            if (this.isPainting) this._paint(this.hoverHex);
+        });
+        listen(this.canvas, 'touchmove', (e) => {
+            if (!this.isEnabled) return;
+            swallow(e);
+            this.hoverHex = this._eventToHex(e);
+            if (this.isPainting) this._paint(this.hoverHex);
+        });
+        listen(this.canvas, 'click', (e) => {
+            if (this.isEnabled) swallow(e);
+        });
+        listen(this.canvas, 'mouseleave', () => {
+            this.hoverHex = null;
+        });
+        listen(window, 'mouseup', () => this._endStroke());
+        listen(window, 'touchend', () => this._endStroke());
+
+        listen(window, 'keydown', (e) => {
+            if (!this.isEnabled || !(e.ctrlKey || e.metaKey)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    }
+
+    _eventToHex(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const point = e.touches && e.touches.length > 0 ? e.touches[0] : e;
+        const x = (point.clientX - rect.left) * (this.canvas.width / rect.width);
+        const y = (point.clientY - rect.top) * (this.canvas.height / rect.height);
+        const offset = this.getViewOffset();
+        return this.grid.getHexAtPixel(x + offset.x, y + offset.y);
+    }
+
+    _beginStroke(hex) {
+        if (!hex) return;
+
+        this._pushUndo(this._snapshot());
+
+        this.isPainting = true;
+        this.strokeCells = new Set();
+        this.strokeMode = null;
+        this._paint(hex);
+        this._updateToolbar();
+    }
+
+    _endStroke() {
+        if (!this.isPainting) return;
+        this.isPainting = false;
+        this.strokeCells = new Set();
+        this._setStatus('');
+    }
+
+    _paint(hex) {
+        if (!hex) return;
+
+        if (this.tool === 'start') {
+            if (!hex.isRuin) this._setStart(hex.col, hex.row);
+            return;
+        }
+
+        for (const cell of this.grid.getRange(hex.col, hex.row, this.brushSize)) {
+            // Each hex changes at most once per stroke
+            if (this.strokeCells.has(cell)) continue;
+            this.strokeCells.add(cell);
+
+            switch (this.tool) {
+                case 'raise':
+                case 'lower': {
+                    const before = cell.elevation;
+                    this.grid.modifyElevation(cell.col, cell.row, this.tool === 'raise' ? LandscapeEditor.STEP : -LandscapeEditor.STEP);
+                    if (this.fog) this.fog.refresh(cell.col, cell.row, cell.elevation - before);
+                    break;
+                }
+
+                case 'ruin':
+                    if (this.strokeMode === null) this.strokeMode = cell.isRuin ? 'remove' : 'add';
+                    if (this.strokeMode === 'add') {
+                        this.grid.setRuin(cell.col, cell.row);
+                    } else {
+                        this.grid.clearRuin(cell.col, cell.row);
+                    }
+                    break;
+
+                case 'fog':
+                    if (this.strokeMode === null) this.strokeMode = cell.isRevealed ? 'add' : 'remove';
+                    if (this.fog && this.strokeMode === 'add') {
+                        this.fog.cover(cell.col, cell.row, 0);
+                    } else if (this.fog) {
+                        this.fog.reveal(cell.col, cell.row, 0);
+                    } else {
+                        cell.isRevealed = this.strokeMode !== 'add';
+                    }
+                    break;
+            }
+        }
+    }
+
+    _setStart(col, row) {
+        if (this.start && this.start.col === col && this.start.row === row) return;
+
+        this.start = { col, row };
+        if (this.ball) {
+            // Ball.reset() also silences the ball; keep the act's noise
+            const noiseLevel = this.ball.noiseLevel;
+            this.ball.reset(col, row);
+            this.ball.noiseLevel = noiseLevel;
+        }
+    }
+
+    _snapshot() {
+        return {
+            landscape: this.grid.toJSON(),
+            start: this.start ? { ...this.start } : null
+        };
+    }
+
+    _pushUndo(snapshot) {
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > LandscapeEditor.UNDO_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Put a landscape on the grid. Editing changes the ground, not the
+     * clock, so the erosion record is kept.
+     */
+    _load(landscape) {
+        const { history, tick } = this.grid.erosion;
+        this.grid.loadJSON(landscape);
+        this.grid.erosion.history = history;
+        this.grid.erosion.tick = tick;
+    }
+
+    _restore(snapshot) {
+        this._load(snapshot.landscape);
+        if (this.fog) this.fog.syncFromGrid();
+        if (snapshot.start) {
+            this._setStart(snapshot.start.col, snapshot.start.row);
+        } else {
+            this.start = null;
+        }
+        this._updateToolbar();
+    }
+
+    _fileName() {
+        const name = (this.grid.meta && this.grid.meta.name) || 'landscape';
+        return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'landscape';
+    }
+}
+
+// Export for use in other modules
+window.LandscapeEditor = LandscapeEditor;
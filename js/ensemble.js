@@ -0,0 +1,132 @@
+/**
+ * BallEnsemble - Many possible futures at once
+ *
+ * One ball falling into ruin looks like bad luck. Hundreds of balls on the
+ * same landscape, each with its own independent noise, show the odds: the
+ * share that has hit ruin is a live estimate of the probability of ruin.
+ *
+ * The ensemble is drawn as a translucent cloud; balls lost to ruin stay
+ * where they fell, tinted red.
+ */
+
+class BallEnsemble {
+    static DEFAULT_COUNT = 200;
+    static DOT_RADIUS = 4;
+    static ALPHA = 0.25;
+
+    /**
+     * @param {HexGrid} grid - The landscape every ball shares
+     * @param {number} startCol - Starting hex column
+     * @param {number} startRow - Starting hex row
+     * @param {Object} options
+     * @param {number} options.count - Number of balls
+     * @param {number} options.noiseLevel - 0 to 1, shared by all balls
+     * @param {string} options.noiseType - Kind of noise (see NoiseProcess)
+     * @param {string} options.stream - Prefix for each ball's random stream
+     */
+    constructor(grid, startCol, startRow, options = {}) {
+        this.grid = grid;
+        this.count = options.count || BallEnsemble.DEFAULT_COUNT;
+        this.noiseLevel = options.noiseLevel || 0;
+        this.noiseType = options.noiseType || 'kicks';
+        this.streamName = options.stream || 'ensemble';
+        this.balls = [];
+
+        this.reset(startCol, startRow);
+    }
+
+    /**
+     * Put every ball back on the start hex
+     */
+    reset(col, row) {
+        this.startCol = col;
+        this.startRow = row;
+        this.balls = [];
+        for (let i = 0; i < this.count; i++) {
+            const ball = new Ball(this.grid, col, row);
+            ball.noiseLevel = this.noiseLevel;
+            ball.setNoiseType(this.noiseType);
+            ball.random = window.rng.stream(`${this.streamName}:${i}`); // Independent noise per ball
+            this.balls.push(ball);
+        }
+    }
+
+    /**
+     * Change the noise for every ball
+     */
+    setNoiseLevel(level) {
+        this.noiseLevel = level;
+        for (const ball of this.balls) {
+            ball.noiseLevel = level;
+        }
+    }
+
+    /**
+     * Change the kind of noise for every ball. Each gets its own process.
+     */
+    setNoiseType(type) {
+        this.noiseType = type;
+        for (const ball of this.balls) {
+            ball.setNoiseType(type);
+        }
+    }
+
+    /**
+     * Step every ball still in play
+     * @param {number} dt - Delta time in milliseconds
+     */
+    update(dt = 16.67) {
+        for (const ball of this.balls) {
+            ball.update(dt);
+        }
+    }
+
+    /**
+     * Number of balls absorbed by ruin
+     */
+    getRuinCount() {
+        return this.balls.filter(ball => ball.isInRuin).length;
+    }
+
+    /**
+     * Share of balls absorbed by ruin, 0 to 1
+     */
+    getRuinFraction() {
+        return this.balls.length ? this.getRuinCount() / this.balls.length : 0;
+    }
+
+    /**
+     * Draw the ensemble as a translucent cloud
+     * @param {Function} project - Maps a board point (x, y) to the screen;
+     *   defaults to subtracting viewOffset (see LandscapeRenderer.project)
+     */
+    draw(ctx, viewOffset = { x: 0, y: 0 }, project = null) {
+        const toScreen = project || ((px, py) => ({ x: px - viewOffset.x, y: py - viewOffset.y }));
+        ctx.save();
+
+        ctx.fillStyle = `rgba(74, 144, 217, ${BallEnsemble.ALPHA})`;
+        ctx.beginPath();
+        for (const ball of this.balls) {
+            if (ball.isInRuin) continue;
+            const { x, y } = toScreen(ball.x, ball.y);
+            ctx.moveTo(x + BallEnsemble.DOT_RADIUS, y);
+            ctx.arc(x, y, BallEnsemble.DOT_RADIUS, 0, Math.PI * 2);
+        }
+        ctx.fill();
+
+        ctx.fillStyle = `rgba(232, 72, 85, ${BallEnsemble.ALPHA})`;
+        ctx.beginPath();
+        for (const ball of this.balls) {
+            if (!ball.isInRuin) continue;
+            const { x, y } = toScreen(ball.x, ball.y);
+            ctx.moveTo(x + BallEnsemble.DOT_RADIUS, y);
+            ctx.arc(x, y, BallEnsemble.DOT_RADIUS, 0, Math.PI * 2);
+        }
+        ctx.fill();
+
+        ctx.restore();
+    }
+}
+
+// Export for use in other modules
+window.BallEnsemble = BallEnsemble;
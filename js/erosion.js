@@ -0,0 +1,314 @@
+/**
+ * ErosionSystem - Gradual landscape degradation (B-tipping)
+ *
+ * Erosion is how a safe valley becomes a fragile one. Each call to apply()
+ * runs one or more kernels over the grid, combines their changes and writes
+ * them back, scaled by the target region and each hex's erosion resistance.
+ *
+ * Kernels:
+ * - flatten: pulls every hex toward flat ground (valleys fill, hills wear)
+ * - rim: lowers ground near ruin (or near the grid edge if there is none),
+ *   so the wall between a basin and ruin wears away first
+ * - ridge: wears down hexes that stand above their neighbours
+ *
+ * Every application is recorded so acts can ask how much erosion has
+ * happened, where, and by which kernel.
+ */
+
+class ErosionSystem {
+    static KERNELS = ['flatten', 'rim', 'ridge'];
+    static DEFAULT_KERNELS = ['flatten', 'rim'];
+    static RIM_REACH = 3;         // Hex steps over which rim lowering fades out
+    static HISTORY_LIMIT = 500;   // Records kept before the oldest are dropped
+
+    /**
+     * @param {HexGrid} grid - The hex grid to erode
+     */
+    constructor(grid) {
+        this.grid = grid;
+        this.history = [];
+        this.tick = 0;
+    }
+
+    /**
+     * Erode the landscape once
+     * @param {number} amount - Maximum elevation change per hex
+     * @param {Object} options
+     * @param {string|string[]} options.kernel - Kernel name(s), defaults to DEFAULT_KERNELS
+     * @param {Array|Object} options.region - Cells/coords to erode, or { col, row, radius }
+     * @param {Object|number} options.direction - Vector { x, y } or angle in radians;
+     *   hexes on that side of the origin erode, the far side is spared
+     * @param {Object} options.origin - { col, row } the direction is measured from
+     * @returns {Object} The history record for this step
+     */
+    apply(amount, options = {}) {
+        const kernels = this._resolveKernels(options.kernel);
+
+        // Kernels all read the landscape as it was before this step
+        const deltas = new Map();
+        for (const name of kernels) {
+            const kernelDeltas = this[`_${name}Kernel`](amount);
+            for (const [cell, delta] of kernelDeltas) {
+                deltas.set(cell, (deltas.get(cell) || 0) + delta);
+            }
+        }
+
+        const regionWeights = this._buildRegionWeights(options);
+        const changes = [];
+        let totalChange = 0;
+
+        for (const [cell, delta] of deltas) {
+            if (cell.isRuin) continue;
+
+            const weight = regionWeights ? (regionWeights.get(cell) || 0) : 1;
+            const effective = delta * weight * (1 - cell.erosionResistance);
+            if (Math.abs(effective) < 1e-6) continue;
+
+            const before = cell.elevation;
+            this.grid.setElevation(cell.col, cell.row, before + effective);
+            const after = cell.elevation;
+
+            if (after !== before) {
+                changes.push({ col: cell.col, row: cell.row, before, after });
+                totalChange += Math.abs(after - before);
+            }
+        }
+
+        this.tick++;
+        const record = {
+            tick: this.tick,
+            amount,
+            kernels,
+            changes,
+            totalChange,
+            relief: this._measureRelief()
+        };
+
+        this.history.push(record);
+        if (this.history.length > ErosionSystem.HISTORY_LIMIT) {
+            this.history.shift();
+        }
+
+        return record;
+    }
+
+    /**
+     * Get recorded erosion steps
+     * @param {Object} filter
+     * @param {string} filter.kernel - Only steps that used this kernel
+     * @param {number} filter.since - Only steps after this tick
+     */
+    getHistory(filter = {}) {
+        return this.history.filter(record =>
+            (filter.kernel === undefined || record.kernels.includes(filter.kernel)) &&
+            (filter.since === undefined || record.tick > filter.since)
+        );
+    }
+
+    /**
+     * Net elevation change of one hex over the recorded history
+     */
+    getCellErosion(col, row) {
+        let net = 0;
+        for (const record of this.history) {
+            for (const change of record.changes) {
+                if (change.col === col && change.row === row) {
+                    net += change.after - change.before;
+                }
+            }
+        }
+        return net;
+    }
+
+    /**
+     * Total absolute elevation moved by erosion so far
+     */
+    getTotalErosion() {
+        return this.history.reduce((sum, record) => sum + record.totalChange, 0);
+    }
+
+    /**
+     * Forget all recorded erosion
+     */
+    reset() {
+        this.history = [];
+        this.tick = 0;
+    }
+
+    _resolveKernels(kernel) {
+        const names = kernel === undefined
+            ? ErosionSystem.DEFAULT_KERNELS
+            : (Array.isArray(kernel) ? kernel : [kernel]);
+
+        for (const name of names) {
+            if (!ErosionSystem.KERNELS.includes(name)) {
+                throw new Error(`Unknown erosion kernel "${name}"`);
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Valleys fill and hills wear toward flat ground (elevation 0)
+     */
+    _flattenKernel(amount) {
+        const deltas = new Map();
+        for (const cell of this.grid.getAllCells()) {
+            const e = cell.elevation;
+            if (e !== 0) {
+                deltas.set(cell, -Math.sign(e) * Math.min(Math.abs(e), amount));
+            }
+        }
+        return deltas;
+    }
+
+    /**
+     * Ground near ruin drops fastest, fading out over RIM_REACH steps.
+     * With no ruin on the grid, the grid edge plays that role.
+     */
+    _rimKernel(amount) {
+        const distances = this._distancesToRim();
+        const reach = ErosionSystem.RIM_REACH;
+        const deltas = new Map();
+
+        for (const [cell, d] of distances) {
+            const weight = (reach + 1 - d) / reach;
+            if (weight > 0) {
+                deltas.set(cell, -amount * Math.min(1, weight));
+            }
+        }
+        return deltas;
+    }
+
+    /**
+     * Hexes above the average of their neighbours wear down toward it
+     */
+    _ridgeKernel(amount) {
+        const deltas = new Map();
+        for (const cell of this.grid.getAllCells()) {
+            const neighbors = this.grid.getNeighbors(cell.col, cell.row);
+            if (!neighbors.length) continue;
+
+            const mean = neighbors.reduce((sum, n) => sum + n.elevation, 0) / neighbors.length;
+            const excess = cell.elevation - mean;
+            if (excess > 0) {
+                deltas.set(cell, -Math.min(amount, excess));
+            }
+        }
+        return deltas;
+    }
+
+    /**
+     * Step distance from every non-ruin hex to the nearest ruin, where a hex
+     * touching ruin is 1. Without ruin, edge hexes count as 1 instead.
+     */
+    _distancesToRim() {
+        const cells = this.grid.getAllCells();
+        const distances = new Map();
+        let frontier = [];
+
+        const ruinCells = cells.filter(cell => cell.isRuin);
+        if (ruinCells.length) {
+            for (const ruin of ruinCells) {
+                for (const n of this.grid.getNeighbors(ruin.col, ruin.row)) {
+                    if (!n.isRuin && !distances.has(n)) {
+                        distances.set(n, 1);
+                        frontier.push(n);
+                    }
+                }
+            }
+        } else {
+            for (const cell of cells) {
+                if (this.grid.getNeighbors(cell.col, cell.row).length < 6) {
+                    distances.set(cell, 1);
+                    frontier.push(cell);
+                }
+            }
+        }
+
+        while (frontier.length) {
+            const next = [];
+            for (const cell of frontier) {
+                const d = distances.get(cell) + 1;
+                for (const n of this.grid.getNeighbors(cell.col, cell.row)) {
+                    if (!n.isRuin && !distances.has(n)) {
+                        distances.set(n, d);
+                        next.push(n);
+                    }
+                }
+            }
+            frontier = next;
+        }
+
+        return distances;
+    }
+
+    /**
+     * Per-hex weight (0 to 1) from the region and direction options,
+     * or null when erosion applies everywhere
+     */
+    _buildRegionWeights(options) {
+        if (options.region === undefined && options.direction === undefined) return null;
+
+        const weights = new Map();
+        const regionCells = options.region === undefined
+            ? this.grid.getAllCells()
+            : this._collectRegion(options.region);
+
+        let dir = null;
+        let origin = null;
+        if (options.direction !== undefined) {
+            dir = typeof options.direction === 'number'
+                ? { x: Math.cos(options.direction), y: Math.sin(options.direction) }
+                : options.direction;
+            const len = Math.hypot(dir.x, dir.y) || 1;
+            dir = { x: dir.x / len, y: dir.y / len };
+
+            if (options.origin) {
+                origin = this.grid.hexToPixel(options.origin.col, options.origin.row);
+            } else {
+                const dims = this.grid.getCanvasDimensions();
+                origin = { x: dims.width / 2, y: dims.height / 2 };
+            }
+        }
+
+        for (const cell of regionCells) {
+            let weight = 1;
+            if (dir) {
+                const pos = this.grid.hexToPixel(cell.col, cell.row);
+                const dx = pos.x - origin.x;
+                const dy = pos.y - origin.y;
+                const dist = Math.hypot(dx, dy);
+                // Cells at the origin erode at half strength
+                const alignment = dist > 0 ? (dx * dir.x + dy * dir.y) / dist : 0;
+                weight = Math.max(0, Math.min(1, 0.5 + alignment));
+            }
+            weights.set(cell, weight);
+        }
+
+        return weights;
+    }
+
+    _collectRegion(region) {
+        if (Array.isArray(region)) {
+            return region
+                .map(pos => this.grid.getHex(pos.col, pos.row))
+                .filter(Boolean);
+        }
+
+        return this.grid.getRange(region.col, region.row, region.radius || 0);
+    }
+
+    _measureRelief() {
+        let min = Infinity, max = -Infinity;
+        for (const cell of this.grid.getAllCells()) {
+            if (cell.isRuin) continue;
+            min = Math.min(min, cell.elevation);
+            max = Math.max(max, cell.elevation);
+        }
+        return max >= min ? max - min : 0;
+    }
+}
+
+// Export for use in other modules
+window.ErosionSystem = ErosionSystem;
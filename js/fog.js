@@ -6,17 +6,65 @@
  * - Act 3: Player must read ball behavior without seeing the landscape
  * - Act 4: Fog clears when honest communication is chosen
  * - Act 5: Scout action reveals fog
+ *
+ * Clearing fog with reveal() shows the truth. Scouting does not: scout()
+ * takes noisy looks at the ground and shows an estimated elevation with an
+ * error band (cell.estimate). Looks further from the scouted hex are
+ * rougher, looks near the ball are sharper, and repeated looks combine, so
+ * the band narrows the more a hex is scouted. The map itself can be wrong.
+ *
+ * Even the truth goes out of date. Once an act calls update() with its
+ * clock time, every hex fog clears is remembered as seen (cell.seen: the
+ * elevation and the time), and is drawn as seen rather than as it is now.
+ * As erosion moves the ground away from what was seen the hex is marked
+ * stale (cell.isStale) and fog creeps back over it, until it is lost to
+ * fog altogether. Yesterday's map is not today's landscape.
+ *
+ * A ball can clear fog too. Attach one (attachBall) and the ground it
+ * rolls over is seen as it goes, along with hexes within a sensing radius,
+ * known exactly or, with falloff, only estimated, more roughly the further
+ * they are from the ball. Exploring by experience costs nothing, unlike
+ * scouting, but only shows where the ball has been.
+ *
+ * FogSystem only keeps the state; FogRenderer draws it. Animated reveals
+ * run on the act's clock (see clock), so stopping or resetting the act
+ * stops them too.
  */
 
 class FogSystem {
+    // Scouting gives estimates, not the truth (see scout)
+    static PRIOR_SD = 1.5;    // Error (standard deviation, levels) of a guess at unseen ground
+    static SCOUT_NOISE = 0.8; // Error of one look at the scouted hex itself
+    static RING_NOISE = 0.5;  // Extra error per ring away from the scouted hex
+    static BALL_RANGE = 3;    // Rings from the ball within which looks are sharper (up to twice as sharp)
+
+    // Revealed ground goes stale as it changes (see update)
+    static STALE_DRIFT = 0.5; // Levels the ground may drift from what was seen before the hex is stale
+    static LOST_DRIFT = 1.5;  // Drift at which fog closes over the hex again
+    static STALE_FOG = 0.5;   // Fog over a stale hex just before it is lost
+
+    static RING_DELAY = 100;  // ms between rings of an animated reveal
+
+    static MAX_SENSING = 3;   // Largest sensing radius for an attached ball (see attachBall)
+
     /**
      * @param {HexGrid} grid - The hex grid to apply fog to
      */
     constructor(grid) {
         this.grid = grid;
+        this.random = window.rng.stream('fog');
+        this.ball = null; // Ground near this ball is scouted more sharply
+        this.sensing = null; // { radius, falloff } while the ball clears fog itself (see attachBall)
+        this.ballHex = null; // Hex the ball was last sensed from
+        this.clock = null; // Act's SimulationClock: times animated reveals and fog fades; none reveals at once
 
         // Track visibility state per hex
-        this.visibility = new Map(); // "q,r" -> visibility level (0 to 1)
+        this.visibility = new Map(); // cell.key ("col,row") -> visibility level (0 to 1)
+        this.estimates = new Map();  // cell.key -> { elevation, uncertainty } for scouted hexes
+        this.sightings = new Map();  // cell.key -> { elevation, time } as last seen, once tracking
+        this.isTracking = false;     // Set by the first update()
+        this.now = 0;                // Time of the last update(), stamped on what is seen
+        this.pending = new Map();    // cell.key -> clock timer id of an animated reveal still to come
 
         // Initialize all as revealed
         this._initializeVisibility(true);
@@ -28,10 +76,11 @@ class FogSystem {
      */
     _initializeVisibility(revealed = true) {
         for (const cell of this.grid.getAllCells()) {
-            const key = `${cell.q},${cell.r}`;
-            this.visibility.set(key, revealed ? 1 : 0);
+            this.visibility.set(cell.key, revealed ? 1 : 0);
             cell.isRevealed = revealed;
+            this._forget(cell);
         }
+        this.ballHex = null;
     }
 
     /**
@@ -39,41 +88,128 @@ class FogSystem {
      */
     coverAll() {
         for (const cell of this.grid.getAllCells()) {
-            const key = `${cell.q},${cell.r}`;
-            this.visibility.set(key, 0);
+            this.visibility.set(cell.key, 0);
             cell.isRevealed = false;
+            this._forget(cell);
         }
+        this.ballHex = null;
     }
 
     /**
-     * Reveal everything
+     * Reveal everything, estimates included: the truth is now known
      */
     revealAll() {
         for (const cell of this.grid.getAllCells()) {
-            const key = `${cell.q},${cell.r}`;
-            this.visibility.set(key, 1);
+            this.visibility.set(cell.key, 1);
             cell.isRevealed = true;
+            this._forget(cell);
+            this._see(cell);
+        }
+    }
+
+    /**
+     * Match fog to each hex's isRevealed flag, e.g. after loading a landscape
+     */
+    syncFromGrid() {
+        for (const cell of this.grid.getAllCells()) {
+            this.visibility.set(cell.key, cell.isRevealed ? 1 : 0);
+            this._forget(cell);
+            if (cell.isRevealed) this._see(cell);
         }
     }
 
+    /**
+     * Compare what was seen with the ground as it is now. Hexes that have
+     * drifted by STALE_DRIFT are marked stale and fog creeps over them;
+     * by LOST_DRIFT they are covered again. The first call starts tracking,
+     * taking the hexes in view as seen now.
+     * @param {number} time - ms, normally the act's SimulationClock time
+     */
+    update(time) {
+        this.now = time;
+        if (!this.isTracking) {
+            this.isTracking = true;
+            for (const cell of this.grid.getAllCells()) {
+                if (cell.isRevealed && !cell.estimate) this._see(cell);
+            }
+        }
+
+        const { STALE_DRIFT, LOST_DRIFT, STALE_FOG } = FogSystem;
+        for (const [key, seen] of this.sightings) {
+            const cell = this.grid.cells.get(key);
+            const drift = Math.abs(cell.elevation - seen.elevation);
+
+            if (drift >= LOST_DRIFT) {
+                this._forget(cell);
+                this.setVisibility(cell.col, cell.row, 0);
+            } else if (drift >= STALE_DRIFT) {
+                cell.isStale = true;
+                this.setVisibility(cell.col, cell.row, 1 - STALE_FOG * (drift - STALE_DRIFT) / (LOST_DRIFT - STALE_DRIFT));
+            } else if (cell.isStale) {
+                // Drifted back to what was seen
+                cell.isStale = false;
+                this.setVisibility(cell.col, cell.row, 1);
+            }
+        }
+    }
+
+    /**
+     * Look again at a hex the player has just changed themselves. A hex in
+     * view is seen afresh. A scouted hex keeps its error band, but its
+     * estimate moves by the change: the player knows what they did, not
+     * what was there. Hidden hexes are left alone.
+     * @param {number} change - Levels the player raised (or lowered) the hex by
+     */
+    refresh(col, row, change = 0) {
+        const cell = this.grid.getHex(col, row);
+        if (!cell) return;
+
+        const estimate = this.estimates.get(cell.key);
+        if (estimate) {
+            estimate.elevation += change;
+            return;
+        }
+        if (!this.sightings.has(cell.key)) return;
+
+        this._see(cell);
+        this.setVisibility(col, row, 1);
+    }
+
+    /**
+     * When and at what elevation a hex was last seen
+     * @returns {Object|null} { elevation, time, age, drift }, or null if the
+     *   hex isn't remembered as seen
+     */
+    getSighting(col, row) {
+        const cell = this.grid.getHex(col, row);
+        const seen = cell ? this.sightings.get(cell.key) : null;
+        if (!seen) return null;
+
+        return {
+            ...seen,
+            age: this.now - seen.time,
+            drift: cell.elevation - seen.elevation
+        };
+    }
+
     /**
      * Get visibility for a specific hex
      * @returns {number} 0 (hidden) to 1 (fully visible)
      */
-    getVisibility(q, r) {
-        const key = `${q},${r}`;
+    getVisibility(col, row) {
+        const key = `${col},${row}`;
         return this.visibility.get(key) ?? 1;
     }
 
     /**
      * Set visibility for a specific hex
      */
-    setVisibility(q, r, level) {
-        const key = `${q},${r}`;
+    setVisibility(col, row, level) {
+        const key = `${col},${row}`;
         const clamped = Math.max(0, Math.min(1, level));
         this.visibility.set(key, clamped);
 
-        const cell = this.grid.getHex(q, r);
+        const cell = this.grid.getHex(col, row);
         if (cell) {
             cell.isRevealed = clamped > 0.5;
         }
@@ -81,47 +217,241 @@ class FogSystem {
 
     /**
      * Reveal hexes in a radius around a point (for Scout action)
-     * @param {number} centerQ 
-     * @param {number} centerR 
+     * @param {number} centerCol
+     * @param {number} centerRow
      * @param {number} radius - Number of hex rings to reveal
      * @param {boolean} animated - Whether to animate the reveal
      */
-    reveal(centerQ, centerR, radius = 1, animated = false) {
-        const center = this.grid.getHex(centerQ, centerR);
+    reveal(centerCol, centerRow, radius = 1, animated = false) {
+        const center = this.grid.getHex(centerCol, centerRow);
         if (!center) return;
 
         // Reveal center
-        this.setVisibility(centerQ, centerR, 1);
+        this._forget(center);
+        this._see(center);
+        this.setVisibility(centerCol, centerRow, 1);
 
         // Reveal rings
         for (let ring = 1; ring <= radius; ring++) {
-            const hexesInRing = this._getHexesInRing(centerQ, centerR, ring);
+            const hexesInRing = this.grid.getRing(centerCol, centerRow, ring);
             for (const hex of hexesInRing) {
+                this._forget(hex);
+                this._see(hex);
                 if (animated) {
-                    // Delayed reveal for animation effect
-                    setTimeout(() => {
-                        this.setVisibility(hex.q, hex.r, 1);
-                    }, ring * 100);
+                    // Each ring clears a little after the one inside it
+                    this._revealLater(hex, ring * FogSystem.RING_DELAY);
+                } else {
+                    this.setVisibility(hex.col, hex.row, 1);
+                }
+            }
+        }
+    }
+
+    /**
+     * Scout hexes in a radius: clear their fog, but show only an estimate
+     * of their elevation (see observe)
+     * @param {number} centerCol
+     * @param {number} centerRow
+     * @param {number} radius - Number of hex rings to scout
+     * @param {boolean} animated - Whether to animate the reveal
+     */
+    scout(centerCol, centerRow, radius = 1, animated = false) {
+        const center = this.grid.getHex(centerCol, centerRow);
+        if (!center) return;
+
+        for (let ring = 0; ring <= radius; ring++) {
+            const hexes = ring === 0 ? [center] : this.grid.getRing(centerCol, centerRow, ring);
+            for (const hex of hexes) {
+                // Measure now, so the noise drawn doesn't depend on timing
+                this.observe(hex.col, hex.row, FogSystem.SCOUT_NOISE + ring * FogSystem.RING_NOISE);
+                if (animated && ring > 0) {
+                    this._revealLater(hex, ring * FogSystem.RING_DELAY);
                 } else {
-                    this.setVisibility(hex.q, hex.r, 1);
+                    this.setVisibility(hex.col, hex.row, 1);
                 }
             }
         }
     }
 
+    /**
+     * Let a ball clear fog as it moves (see sense). The hex under it is
+     * seen exactly. Hexes within the radius are seen too, or, with falloff,
+     * only estimated: a look from the ball has an error of falloff levels
+     * per ring away from it.
+     * @param {Ball|null} ball - null detaches the ball
+     * @param {Object} options
+     * @param {number} options.radius - Rings around the ball's hex it senses (0 to MAX_SENSING)
+     * @param {number} options.falloff - Error per ring in levels; 0 sees the whole radius exactly
+     */
+    attachBall(ball, options = {}) {
+        const radius = options.radius ?? 0;
+        const falloff = options.falloff ?? 0;
+        if (!Number.isInteger(radius) || radius < 0 || radius > FogSystem.MAX_SENSING) {
+            throw new Error(`Unknown sensing radius "${radius}"`);
+        }
+
+        this.ball = ball;
+        this.sensing = ball ? { radius, falloff } : null;
+        this.ballHex = null;
+    }
+
+    /**
+     * Clear fog around the attached ball. Call after every ball.update(dt):
+     * the ground is looked at each time the ball enters a hex, so passing
+     * by again sharpens estimates, but sitting still doesn't.
+     */
+    sense() {
+        if (!this.sensing) return;
+
+        const here = this.ball.getCurrentHex();
+        if (!here || here === this.ballHex) return;
+        this.ballHex = here;
+
+        const { radius, falloff } = this.sensing;
+        for (let ring = 0; ring <= radius; ring++) {
+            const hexes = ring === 0 ? [here] : this.grid.getRing(here.col, here.row, ring);
+            for (const hex of hexes) {
+                if (ring === 0 || falloff === 0) {
+                    this._forget(hex);
+                    this._see(hex);
+                } else if (!this.observe(hex.col, hex.row, ring * falloff)) {
+                    continue; // Already known exactly
+                }
+                this.setVisibility(hex.col, hex.row, 1);
+            }
+        }
+    }
+
+    /**
+     * Take one noisy look at a hex's elevation and combine it with earlier
+     * looks (a Gaussian Bayesian update: each look adds its precision).
+     * Hexes already known exactly are left alone.
+     * @param {number} noise - Error of the look (standard deviation, levels),
+     *   before the sharpening near the ball
+     * @returns {Object|null} The new estimate { elevation, uncertainty }
+     */
+    observe(col, row, noise) {
+        const cell = this.grid.getHex(col, row);
+        if (!cell) return null;
+        if (this.isRevealed(col, row) && !this.estimates.has(cell.key)) return null;
+
+        const error = noise * this._nearBallFactor(cell);
+        const measured = cell.elevation + this.random.normal(0, error);
+
+        const prior = this.estimates.get(cell.key) || { elevation: 0, uncertainty: FogSystem.PRIOR_SD };
+        const priorPrecision = 1 / (prior.uncertainty * prior.uncertainty);
+        const lookPrecision = 1 / (error * error);
+        const precision = priorPrecision + lookPrecision;
+
+        const estimate = {
+            elevation: (prior.elevation * priorPrecision + measured * lookPrecision) / precision,
+            uncertainty: Math.sqrt(1 / precision)
+        };
+        this.estimates.set(cell.key, estimate);
+        cell.estimate = estimate;
+        return estimate;
+    }
+
+    /**
+     * What the player knows of a hex's elevation
+     * @returns {Object|null} { elevation, uncertainty }: uncertainty 0 when
+     *   known exactly, null when hidden and never scouted
+     */
+    getEstimate(col, row) {
+        const cell = this.grid.getHex(col, row);
+        if (!cell) return null;
+
+        const estimate = this.estimates.get(cell.key);
+        if (estimate) return { ...estimate };
+        return this.isRevealed(col, row) ? { elevation: cell.elevation, uncertainty: 0 } : null;
+    }
+
+    /**
+     * Looks near the ball are up to twice as sharp
+     */
+    _nearBallFactor(cell) {
+        const ballHex = this.ball ? this.ball.getCurrentHex() : null;
+        if (!ballHex) return 1;
+
+        const distance = this.grid.distance(ballHex.col, ballHex.row, cell.col, cell.row);
+        return 0.5 + 0.5 * Math.min(1, distance / FogSystem.BALL_RANGE);
+    }
+
+    /**
+     * Clear a hex's fog after a delay on the clock (at once without one)
+     */
+    _revealLater(hex, delay) {
+        this._cancelReveal(hex);
+        if (!this.clock) {
+            this.setVisibility(hex.col, hex.row, 1);
+            return;
+        }
+
+        const id = this.clock.after(delay, () => {
+            this.pending.delete(hex.key);
+            this.setVisibility(hex.col, hex.row, 1);
+        });
+        this.pending.set(hex.key, id);
+    }
+
+    _cancelReveal(cell) {
+        const id = this.pending.get(cell.key);
+        if (id === undefined) return;
+
+        if (this.clock) this.clock.cancel(id);
+        this.pending.delete(cell.key);
+    }
+
+    /**
+     * Stop any animated reveals still to come, leaving their hexes as
+     * they are now
+     */
+    cancelAnimations() {
+        for (const cell of this.grid.getAllCells()) {
+            this._cancelReveal(cell);
+        }
+    }
+
+    /**
+     * Remember a hex as seen now, if tracking (see update)
+     */
+    _see(cell) {
+        if (!this.isTracking) return;
+
+        const seen = { elevation: cell.elevation, time: this.now };
+        this.sightings.set(cell.key, seen);
+        cell.seen = seen;
+        cell.isStale = false;
+    }
+
+    /**
+     * Drop what is known of a hex, estimated or seen, and any reveal still
+     * to come, before it is covered or seen afresh
+     */
+    _forget(cell) {
+        this._cancelReveal(cell);
+        this.estimates.delete(cell.key);
+        this.sightings.delete(cell.key);
+        cell.estimate = null;
+        cell.seen = null;
+        cell.isStale = false;
+    }
+
     /**
      * Cover hexes in a radius
      */
-    cover(centerQ, centerR, radius = 1) {
-        const center = this.grid.getHex(centerQ, centerR);
+    cover(centerCol, centerRow, radius = 1) {
+        const center = this.grid.getHex(centerCol, centerRow);
         if (!center) return;
 
-        this.setVisibility(centerQ, centerR, 0);
+        this._forget(center);
+        this.setVisibility(centerCol, centerRow, 0);
 
         for (let ring = 1; ring <= radius; ring++) {
-            const hexesInRing = this._getHexesInRing(centerQ, centerR, ring);
+            const hexesInRing = this.grid.getRing(centerCol, centerRow, ring);
             for (const hex of hexesInRing) {
-                this.setVisibility(hex.q, hex.r, 0);
+                this._forget(hex);
+                this.setVisibility(hex.col, hex.row, 0);
             }
         }
     }
@@ -137,41 +467,18 @@ class FogSystem {
 
         if (hiddenHexes.length === 0) return null;
 
-        const randomHex = hiddenHexes[Math.floor(Math.random() * hiddenHexes.length)];
-        this.setVisibility(randomHex.q, randomHex.r, 1);
+        const randomHex = this.random.pick(hiddenHexes);
+        this._forget(randomHex);
+        this._see(randomHex);
+        this.setVisibility(randomHex.col, randomHex.row, 1);
         return randomHex;
     }
 
-    /**
-     * Get hexes at a specific ring distance (helper)
-     */
-    _getHexesInRing(centerQ, centerR, radius) {
-        const results = [];
-        const directions = HexGrid.DIRECTIONS;
-
-        let q = centerQ - radius;
-        let r = centerR + radius;
-
-        for (let i = 0; i < 6; i++) {
-            for (let j = 0; j < radius; j++) {
-                const cell = this.grid.getHex(q, r);
-                if (cell) {
-                    results.push(cell);
-                }
-                const dir = directions[i];
-                q += dir.q;
-                r += dir.r;
-            }
-        }
-
-        return results;
-    }
-
     /**
      * Check if a hex is revealed
      */
-    isRevealed(q, r) {
-        return this.getVisibility(q, r) > 0.5;
+    isRevealed(col, row) {
+        return this.getVisibility(col, row) > 0.5;
     }
 
     /**
@@ -205,54 +512,6 @@ class FogSystem {
         return (this.getRevealedCount() / total) * 100;
     }
 
-    /**
-     * Draw fog overlay (alternative to per-hex drawing)
-     * Useful for smoother fog effects
-     */
-    draw(ctx) {
-        for (const cell of this.grid.getAllCells()) {
-            const visibility = this.getVisibility(cell.q, cell.r);
-
-            if (visibility < 1) {
-                const { x, y } = this.grid.hexToPixel(cell.q, cell.r);
-                const size = this.grid.hexSize;
-
-                // Draw fog hex
-                ctx.beginPath();
-                for (let i = 0; i < 6; i++) {
-                    const angle = (Math.PI / 180) * (60 * i - 30);
-                    const hx = x + size * Math.cos(angle);
-                    const hy = y + size * Math.sin(angle);
-                    if (i === 0) {
-                        ctx.moveTo(hx, hy);
-                    } else {
-                        ctx.lineTo(hx, hy);
-                    }
-                }
-                ctx.closePath();
-
-                // Fog opacity based on visibility
-                const fogOpacity = (1 - visibility) * 0.85;
-                ctx.fillStyle = `rgba(200, 200, 220, ${fogOpacity})`;
-                ctx.fill();
-
-                // Add subtle texture
-                if (visibility < 0.5) {
-                    ctx.fillStyle = `rgba(180, 180, 200, ${fogOpacity * 0.4})`;
-                    const numDots = 3;
-                    for (let i = 0; i < numDots; i++) {
-                        const dotX = x + (Math.random() - 0.5) * size;
-                        const dotY = y + (Math.random() - 0.5) * size * 0.8;
-                        const dotSize = 2 + Math.random() * 3;
-                        ctx.beginPath();
-                        ctx.arc(dotX, dotY, dotSize, 0, Math.PI * 2);
-                        ctx.fill();
-                    }
-                }
-            }
-        }
-    }
-
     /**
      * Reset fog system
      */
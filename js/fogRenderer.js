@@ -0,0 +1,187 @@
+/**
+ * FogRenderer - Draws a FogSystem's fog as drifting mist
+ *
+ * FogSystem decides how visible each hex is; this draws it. Two things
+ * keep the fog from shimmering:
+ * - Visibility fades: when fog clears or closes over a hex, the drawn fog
+ *   follows over FADE_TIME rather than jumping.
+ * - The texture is fixed: soft puffs of mist sit on a lattice, jittered by
+ *   a hash of their place in it. They are painted once into a repeating
+ *   tile, and the whole tile drifts slowly with time. Neighbouring fogged
+ *   hexes share the same mist, so it flows across them instead of
+ *   flickering hex by hex.
+ *
+ * Time comes from the fog's clock (FogSystem.clock, the act's
+ * SimulationClock), so fades and drift pause with the act. With no clock
+ * the fog is drawn still, at its current visibility.
+ */
+
+class FogRenderer {
+    static FADE_TIME = 400;          // ms for fog to clear from, or close over, a hex
+    static OPACITY = 0.95;           // Fog over a hidden hex: the only fog there, so all but opaque
+    static MIST_OPACITY = 0.35;      // Mist over a hidden hex
+    static MIST_SPACING = 1.2;       // Distance between puffs, as a share of the hex side
+    static MIST_SIZE = 0.8;          // Puff radius, as a share of the hex side
+    static MIST_TILE = 4;            // Puffs along each side of the repeating mist tile
+    static DRIFT = { x: 0.15, y: 0.05 }; // Mist drift, in hex sides per second
+    static COLOR = '200, 200, 220';
+    static MIST_COLOR = '240, 240, 248';
+
+    /**
+     * @param {FogSystem} fog - The fog to draw
+     */
+    constructor(fog) {
+        this.fog = fog;
+        this.grid = fog.grid;
+        this.shown = new Map();  // cell.key -> visibility as drawn, fading towards the fog's
+        this.lastTime = null;    // Time of the last update()
+        this.tile = null;        // Offscreen canvas of mist, made on first use
+        this.pattern = null;     // The tile as a fill, for patternCtx
+        this.patternCtx = null;
+    }
+
+    /**
+     * Fade the drawn visibility towards the fog's. Call once per frame,
+     * before drawing.
+     */
+    update() {
+        const time = this._time();
+        const elapsed = this.lastTime === null || time === null || time < this.lastTime
+            ? Infinity
+            : time - this.lastTime;
+        this.lastTime = time;
+
+        const change = elapsed / FogRenderer.FADE_TIME;
+        for (const cell of this.grid.getAllCells()) {
+            const target = this.fog.getVisibility(cell.col, cell.row);
+            const current = this.shown.get(cell.key) ?? target;
+            const next = Math.abs(target - current) <= change
+                ? target
+                : current + Math.sign(target - current) * change;
+            this.shown.set(cell.key, next);
+        }
+    }
+
+    /**
+     * Visibility of a hex as drawn (0 hidden, 1 clear)
+     */
+    getVisibility(cell) {
+        return this.shown.get(cell.key) ?? this.fog.getVisibility(cell.col, cell.row);
+    }
+
+    /**
+     * Draw fog over the flat board
+     */
+    draw(ctx, viewOffset = { x: 0, y: 0 }) {
+        for (const cell of this.grid.getAllCells()) {
+            const visibility = this.getVisibility(cell);
+            if (visibility < 1) {
+                this.paint(ctx, this.grid.getHexVertices(cell, viewOffset), visibility);
+            }
+        }
+    }
+
+    /**
+     * Fog and mist over one outline on screen, e.g. a 3D column
+     * (see LandscapeRenderer)
+     * @param {Array} outline - Screen points { x, y }
+     * @param {number} visibility - 0 (hidden) to 1 (clear)
+     */
+    paint(ctx, outline, visibility) {
+        const fogginess = 1 - visibility;
+
+        ctx.save();
+        ctx.beginPath();
+        outline.forEach((v, i) => (i === 0 ? ctx.moveTo(v.x, v.y) : ctx.lineTo(v.x, v.y)));
+        ctx.closePath();
+        ctx.fillStyle = `rgba(${FogRenderer.COLOR}, ${fogginess * FogRenderer.OPACITY})`;
+        ctx.fill();
+        ctx.clip();
+        this._drawMist(ctx, outline, fogginess);
+        ctx.restore();
+    }
+
+    /**
+     * Fill an outline's bounds with the drifting mist tile
+     */
+    _drawMist(ctx, outline, fogginess) {
+        const size = this._tile().width;
+        const seconds = (this._time() || 0) / 1000;
+        const side = this.grid.sideLength;
+        const dx = ((seconds * FogRenderer.DRIFT.x * side) % size + size) % size;
+        const dy = ((seconds * FogRenderer.DRIFT.y * side) % size + size) % size;
+
+        const xs = outline.map(v => v.x);
+        const ys = outline.map(v => v.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+
+        if (this.patternCtx !== ctx) {
+            this.pattern = ctx.createPattern(this.tile, 'repeat');
+            this.patternCtx = ctx;
+        }
+        ctx.globalAlpha = fogginess * FogRenderer.MIST_OPACITY;
+        ctx.translate(dx, dy);
+        ctx.fillStyle = this.pattern;
+        ctx.fillRect(minX - dx, minY - dy, Math.max(...xs) - minX, Math.max(...ys) - minY);
+    }
+
+    /**
+     * Paint the puffs of MIST_TILE x MIST_TILE lattice squares, wrapping
+     * at the edges so the tile repeats seamlessly
+     */
+    _tile() {
+        if (this.tile) return this.tile;
+
+        const side = this.grid.sideLength;
+        const spacing = side * FogRenderer.MIST_SPACING;
+        const size = Math.round(spacing * FogRenderer.MIST_TILE);
+        this.tile = document.createElement('canvas');
+        this.tile.width = size;
+        this.tile.height = size;
+
+        const ctx = this.tile.getContext('2d');
+        for (let i = 0; i < FogRenderer.MIST_TILE; i++) {
+            for (let j = 0; j < FogRenderer.MIST_TILE; j++) {
+                const puff = this._puff(i, j);
+                const radius = side * FogRenderer.MIST_SIZE * puff.size;
+                for (const ox of [-size, 0, size]) {
+                    for (const oy of [-size, 0, size]) {
+                        const x = (i + puff.x) * spacing + ox;
+                        const y = (j + puff.y) * spacing + oy;
+                        const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+                        gradient.addColorStop(0, `rgba(${FogRenderer.MIST_COLOR}, 1)`);
+                        gradient.addColorStop(1, `rgba(${FogRenderer.MIST_COLOR}, 0)`);
+                        ctx.fillStyle = gradient;
+                        ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+                    }
+                }
+            }
+        }
+        return this.tile;
+    }
+
+    /**
+     * Where a puff sits in its lattice square, and its size: fixed for
+     * the square, so the mist never flickers
+     */
+    _puff(i, j) {
+        const hash = SeededRandom.hashString(`${i},${j}`);
+        return {
+            x: (hash & 255) / 256,
+            y: ((hash >>> 8) & 255) / 256,
+            size: 0.6 + ((hash >>> 16) & 255) / 256 * 0.6
+        };
+    }
+
+    /**
+     * The fog clock's time, between its last two steps; null with no clock
+     */
+    _time() {
+        const clock = this.fog.clock;
+        return clock ? clock.time + clock.alpha * clock.step : null;
+    }
+}
+
+// Export for use in other modules
+window.FogRenderer = FogRenderer;
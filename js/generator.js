@@ -0,0 +1,218 @@
+/**
+ * LandscapeGenerator - Seeded procedural landscapes
+ *
+ * Hand-placed valleys get memorised. The generator carves a fresh
+ * landscape from a seed: a few basins (attractors) with a raised rim,
+ * some scattered high ground, and ruin on the open ground between them.
+ * The same seed and options always give the same landscape.
+ *
+ * Every landscape it returns is playable:
+ * - each basin fits on the grid with a rim around it
+ * - basins are far enough apart that a ridge separates them
+ * - ruin never sits inside a basin or on its rim, and never cuts the ground
+ *   into pieces, so every basin can still be reached from every other
+ */
+
+class LandscapeGenerator {
+    static DEFAULTS = {
+        attractors: 1,
+        depth: [2, 3],      // How far basin centres sink (1 to 3)
+        width: [1, 2],      // Basin radius in hex rings
+        ruinDensity: 0.08   // Share of open ground that turns to ruin
+    };
+    static MAX_ATTEMPTS = 50;   // Layouts tried before giving up
+    static BUMP_CHANCE = 0.15;  // Chance an open hex becomes high ground
+
+    /**
+     * @param {HexGrid} grid - The grid to generate onto
+     */
+    constructor(grid) {
+        this.grid = grid;
+    }
+
+    /**
+     * Replace the grid's landscape with a generated one
+     * @param {Object} options
+     * @param {number|string} options.seed - Defaults to the next seed from window.rng
+     * @param {number} options.attractors - Number of basins
+     * @param {number[]} options.depth - [min, max] basin depth
+     * @param {number[]} options.width - [min, max] basin radius in rings
+     * @param {number} options.ruinDensity - 0 to 1
+     * @returns {Object} { seed, attractors, ruin, start } describing the layout
+     */
+    generate(options = {}) {
+        const settings = this._resolveOptions(options);
+        const seed = options.seed ?? window.rng.stream('generator').int(0, 0xFFFFFFFF);
+        const rng = new SeededRandom(seed);
+
+        let attractors = null;
+        for (let attempt = 0; attempt < LandscapeGenerator.MAX_ATTEMPTS && !attractors; attempt++) {
+            attractors = this._placeAttractors(rng, settings);
+        }
+        if (!attractors) {
+            throw new Error(
+                `Could not fit ${settings.attractors} basin(s) on a ${this.grid.cols}x${this.grid.rows} grid`
+            );
+        }
+
+        this.grid.reset();
+        const basinCells = this._carveBasins(attractors);
+        this._raiseOpenGround(rng, basinCells);
+        const ruin = this._placeRuin(rng, settings.ruinDensity, attractors);
+
+        this.grid.meta = { name: `Generated landscape ${seed}`, seed };
+
+        return {
+            seed,
+            attractors,
+            ruin,
+            start: { col: attractors[0].col, row: attractors[0].row }
+        };
+    }
+
+    _resolveOptions(options) {
+        const settings = { ...LandscapeGenerator.DEFAULTS, ...options };
+        const asRange = (value) => Array.isArray(value) ? value : [value, value];
+
+        settings.depth = asRange(settings.depth);
+        settings.width = asRange(settings.width);
+
+        if (!Number.isInteger(settings.attractors) || settings.attractors < 1) {
+            throw new Error('attractors must be a whole number of at least 1');
+        }
+        if (settings.depth[0] < 1 || settings.depth[1] > 3 || settings.depth[0] > settings.depth[1]) {
+            throw new Error('depth must be a [min, max] range within 1 to 3');
+        }
+        if (settings.width[0] < 0 || settings.width[0] > settings.width[1]) {
+            throw new Error('width must be a [min, max] range of 0 or more rings');
+        }
+        if (!(settings.ruinDensity >= 0 && settings.ruinDensity <= 1)) {
+            throw new Error('ruinDensity must be between 0 and 1');
+        }
+        return settings;
+    }
+
+    /**
+     * Pick basin centres and sizes, or null if this attempt didn't fit
+     */
+    _placeAttractors(rng, settings) {
+        const attractors = [];
+
+        for (let i = 0; i < settings.attractors; i++) {
+            const depth = rng.int(settings.depth[0], settings.depth[1]);
+            const width = rng.int(settings.width[0], settings.width[1]);
+
+            const candidates = this.grid.getAllCells().filter(cell =>
+                this._fitsWithRim(cell, width) &&
+                attractors.every(other =>
+                    this.grid.distance(cell.col, cell.row, other.col, other.row) >= width + other.width + 2
+                )
+            );
+            if (!candidates.length) return null;
+
+            const center = rng.pick(candidates);
+            attractors.push({ col: center.col, row: center.row, depth, width });
+        }
+
+        return attractors;
+    }
+
+    /**
+     * Whether a basin of this width, plus a rim ring, lies fully on the grid
+     */
+    _fitsWithRim(cell, width) {
+        const reach = width + 1;
+        const expected = 1 + 3 * reach * (reach + 1);
+        return this.grid.getRange(cell.col, cell.row, reach).length === expected;
+    }
+
+    /**
+     * Sink each basin, rising toward its edge, and raise its rim
+     * @returns {Set<HexCell>} Hexes that belong to a basin
+     */
+    _carveBasins(attractors) {
+        const basinCells = new Set();
+
+        for (const { col, row, depth, width } of attractors) {
+            for (const cell of this.grid.getRange(col, row, width)) {
+                const d = this.grid.distance(col, row, cell.col, cell.row);
+                const elevation = Math.round(-depth * (1 - d / (width + 1)));
+                cell.elevation = Math.min(cell.elevation, elevation);
+                basinCells.add(cell);
+            }
+        }
+
+        for (const { col, row, width } of attractors) {
+            for (const cell of this.grid.getRing(col, row, width + 1)) {
+                if (!basinCells.has(cell)) cell.elevation = 1;
+            }
+        }
+
+        return basinCells;
+    }
+
+    /**
+     * Scatter some high ground over the open hexes so no two landscapes
+     * look alike
+     */
+    _raiseOpenGround(rng, basinCells) {
+        for (const cell of this.grid.getAllCells()) {
+            if (basinCells.has(cell) || cell.elevation > 0) continue;
+            if (rng.next() < LandscapeGenerator.BUMP_CHANCE) {
+                cell.elevation = rng.int(1, 2);
+            }
+        }
+    }
+
+    /**
+     * Ruin open ground beyond the rims, skipping any hex whose loss would
+     * split the remaining ground in two
+     * @returns {Object[]} { col, row } of each ruined hex
+     */
+    _placeRuin(rng, density, attractors) {
+        const open = this.grid.getAllCells().filter(cell =>
+            attractors.every(({ col, row, width }) =>
+                this.grid.distance(col, row, cell.col, cell.row) > width + 1
+            )
+        );
+        const target = Math.round(open.length * density);
+        const ruin = [];
+
+        for (const cell of rng.shuffle(open)) {
+            if (ruin.length >= target) break;
+
+            this.grid.setRuin(cell.col, cell.row);
+            if (this._isConnected()) {
+                ruin.push({ col: cell.col, row: cell.row });
+            } else {
+                this.grid.clearRuin(cell.col, cell.row);
+            }
+        }
+
+        return ruin;
+    }
+
+    /**
+     * Whether all non-ruin hexes form one connected piece
+     */
+    _isConnected() {
+        const ground = this.grid.getAllCells().filter(cell => !cell.isRuin);
+        if (!ground.length) return false;
+
+        const seen = new Set([ground[0]]);
+        const queue = [ground[0]];
+        while (queue.length) {
+            const cell = queue.shift();
+            for (const n of this.grid.getNeighbors(cell.col, cell.row)) {
+                if (!n.isRuin && !seen.has(n)) {
+                    seen.add(n);
+                    queue.push(n);
+                }
+            }
+        }
+        return seen.size === ground.length;
+    }
+}
+
+// Export for use in other modules
+window.LandscapeGenerator = LandscapeGenerator;
@@ -0,0 +1,61 @@
+/**
+ * Headless entry point - the simulation core in plain Node
+ *
+ * The browser scripts export their classes on `window`. Pointing `window`
+ * at the global object lets Node load the same files unchanged, in the
+ * same order as index.html. Only the DOM-free core is loaded: no acts,
+ * no editor.
+ *
+ * Usage:
+ *   const { Simulation } = require('./js/headless.js');
+ *   const sim = new Simulation({ generate: { seed: 1 }, noiseLevel: 0.3 });
+ *   sim.step(600);
+ *   console.log(sim.getState());
+ */
+
+if (typeof window === 'undefined') {
+    globalThis.window = globalThis;
+}
+
+const path = require('path');
+
+const CORE_FILES = [
+    'random.js',
+    'clock.js',
+    'hexGrid.js',
+    'erosion.js',
+    'ruin.js',
+    'generator.js',
+    'basins.js',
+    'tipping.js',
+    'earlyWarning.js',
+    'noise.js',
+    'ball.js',
+    'ensemble.js',
+    'fog.js',
+    'simulation.js'
+];
+
+for (const file of CORE_FILES) {
+    require(path.join(__dirname, file));
+}
+
+module.exports = {
+    SeededRandom: window.SeededRandom,
+    RandomService: window.RandomService,
+    SimulationClock: window.SimulationClock,
+    HexGrid: window.HexGrid,
+    HexCell: window.HexCell,
+    LandscapeFormatError: window.LandscapeFormatError,
+    ErosionSystem: window.ErosionSystem,
+    RuinSystem: window.RuinSystem,
+    LandscapeGenerator: window.LandscapeGenerator,
+    BasinAnalysis: window.BasinAnalysis,
+    TippingAnalysis: window.TippingAnalysis,
+    EarlyWarningSignals: window.EarlyWarningSignals,
+    NoiseProcess: window.NoiseProcess,
+    Ball: window.Ball,
+    BallEnsemble: window.BallEnsemble,
+    FogSystem: window.FogSystem,
+    Simulation: window.Simulation
+};
@@ -12,6 +12,12 @@
  * Positioning:
  *   x = col * hexRectangleWidth + (row % 2) * hexRadius
  *   y = row * (sideLength + hexHeight)
+ *
+ * Coordinates:
+ *   Cells are stored and addressed by offset (col, row), with odd rows
+ *   shifted right. Distance, rings, lines and rotation are computed in
+ *   axial (q, r) / cube (q, r, s) coordinates, following
+ *   https://www.redblobgames.com/grids/hexagons/
  */
 
 class HexCell {
@@ -20,18 +26,54 @@ class HexCell {
         this.row = row;
         this.elevation = elevation;
         this.isRuin = false;
+        this.ruinType = null;          // 'absorbing' or 'recoverable' (see RuinSystem)
+        this.ruinSpreads = false;
+        this.ruinExposure = 0;         // Erosion absorbed from spreading ruin next door
+        this.elevationBeforeRuin = null;
         this.isRevealed = true;
         this.isHighlighted = false;
         this.isLegalMove = false;
         this.isError = false;
+        this.erosionResistance = 0; // 0 = erodes fully, 1 = never erodes
+        this.annotation = null;     // Free-text note saved with the landscape
+        this.estimate = null;       // { elevation, uncertainty } from scouting (see FogSystem.scout); null when the truth is shown
+        this.seen = null;           // { elevation, time } when fog last showed this hex, if tracked (see FogSystem.update)
+        this.isStale = false;       // The ground has drifted from what was seen
     }
 
     get key() {
         return `${this.col},${this.row}`;
     }
+
+    // Axial/cube coordinates, derived from the offset position
+    get q() {
+        return this.col - (this.row - (this.row & 1)) / 2;
+    }
+
+    get r() {
+        return this.row;
+    }
+
+    get s() {
+        return -this.q - this.r;
+    }
+}
+
+/**
+ * Thrown when a landscape file is malformed or doesn't fit the grid
+ */
+class LandscapeFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LandscapeFormatError';
+    }
 }
 
 class HexGrid {
+    // Landscape file format (see toJSON)
+    static FORMAT = 'hexi-landscape';
+    static FORMAT_VERSION = 1;
+
     static ELEVATION_COLORS = {
         '-3': '#1b4332',  // Level 1: Darkest green (lowest point)
         '-2': '#2d6a4f',  // Level 2: Dark green
@@ -40,29 +82,70 @@ class HexGrid {
         '1': '#d8f3dc',   // Very palest green
         '2': '#f8fdf9',   // Near white
         '3': '#ffffff',   // White
-        'ruin': '#111b15' // Dark forest green/black
+        'ruin': '#111b15', // Dark forest green/black
+        'ruin-recoverable': '#3b3a30' // Muddy olive: deep, but not the end
     };
 
-    /**
-     * Calculate a force that pulls the ball towards the center of its current hex.
-     * Only applies if the hex is a local minimum (settling point).
-     */
-    getCenteringForce(col, row, ballX, ballY, strength = 0.10) {
-        const cell = this.getHex(col, row);
-        if (!cell) return { x: 0, y: 0 };
+    // Continuous elevation field (see sampleElevation)
+    static FIELD_BANDWIDTH = 0.5; // Gaussian kernel width, as a share of the distance between hex centres
+    static FIELD_REACH = 2;       // Rings of hexes around a point that count towards it
+    static UNCERTAIN = 0.2;       // Estimate error (levels) from which a hex is hatched as uncertain
+
+    // Axial neighbour directions: E, NE, NW, W, SW, SE
+    static DIRECTIONS = [
+        { q: 1, r: 0 },
+        { q: 1, r: -1 },
+        { q: 0, r: -1 },
+        { q: -1, r: 0 },
+        { q: -1, r: 1 },
+        { q: 0, r: 1 }
+    ];
+
+    static offsetToAxial(col, row) {
+        return { q: col - (row - (row & 1)) / 2, r: row };
+    }
 
-        const center = this.hexToPixel(col, row);
-        const dx = center.x - ballX;
-        const dy = center.y - ballY;
-        const dist = Math.sqrt(dx * dx + dy * dy);
+    static axialToOffset(q, r) {
+        return { col: q + (r - (r & 1)) / 2, row: r };
+    }
 
-        if (dist < 0.5) return { x: 0, y: 0 };
+    static axialToCube(q, r) {
+        return { q, r, s: -q - r };
+    }
 
-        // Pull towards center with increasing force at edges
-        return {
-            x: (dx / dist) * strength,
-            y: (dy / dist) * strength
-        };
+    static cubeToAxial(cube) {
+        return { q: cube.q, r: cube.r };
+    }
+
+    static offsetToCube(col, row) {
+        const { q, r } = HexGrid.offsetToAxial(col, row);
+        return HexGrid.axialToCube(q, r);
+    }
+
+    static cubeToOffset(cube) {
+        return HexGrid.axialToOffset(cube.q, cube.r);
+    }
+
+    /**
+     * Round fractional cube coordinates to the hex that contains them
+     */
+    static cubeRound(cube) {
+        let q = Math.round(cube.q);
+        let r = Math.round(cube.r);
+        let s = Math.round(cube.s);
+
+        // Fix whichever component drifted furthest so q + r + s stays 0
+        const dq = Math.abs(q - cube.q);
+        const dr = Math.abs(r - cube.r);
+        const ds = Math.abs(s - cube.s);
+        if (dq > dr && dq > ds) {
+            q = -r - s;
+        } else if (dr > ds) {
+            r = -q - s;
+        } else {
+            s = -q - r;
+        }
+        return { q, r, s };
     }
 
     constructor(cols, rows, sideLength = 25) {
@@ -86,6 +169,20 @@ class HexGrid {
 
         this.cells = new Map();
         this._initGrid();
+
+        // Free-form landscape details (name, description) kept in saved files
+        this.meta = {};
+
+        // Grey over hidden hexes; off when a FogRenderer draws the fog (see LandscapeRenderer)
+        this.paintsFog = true;
+
+        // Bumped on every change to the ground, so analyses of it can be cached
+        this.revision = 0;
+        this.basinCache = null; // { revision, basins } from the last analyzeBasins()
+
+        // Landscape degradation (B-tipping) and collapse states
+        this.erosion = new ErosionSystem(this);
+        this.ruin = new RuinSystem(this);
     }
 
     _initGrid() {
@@ -100,10 +197,16 @@ class HexGrid {
         return this.cells.get(`${col},${row}`) || null;
     }
 
+    getHexAxial(q, r) {
+        const { col, row } = HexGrid.axialToOffset(q, r);
+        return this.getHex(col, row);
+    }
+
     setElevation(col, row, val) {
         const cell = this.getHex(col, row);
         if (cell && !cell.isRuin) {
             cell.elevation = Math.max(-3, Math.min(3, val));
+            this.revision++;
         }
     }
 
@@ -111,38 +214,209 @@ class HexGrid {
         const cell = this.getHex(col, row);
         if (cell && !cell.isRuin) {
             cell.elevation = Math.max(-3, Math.min(3, cell.elevation + delta));
+            this.revision++;
+        }
+    }
+
+    /**
+     * Note a change to the ground made other than through setElevation()
+     * or modifyElevation(), e.g. by RuinSystem, so cached analyses are redone
+     */
+    markChanged() {
+        this.revision++;
+    }
+
+    /**
+     * Set how strongly a hex resists erosion
+     * @param {number} value - 0 (erodes fully) to 1 (never erodes)
+     */
+    setErosionResistance(col, row, value) {
+        const cell = this.getHex(col, row);
+        if (cell) {
+            cell.erosionResistance = Math.max(0, Math.min(1, value));
+        }
+    }
+
+    /**
+     * Erode the landscape one step. See ErosionSystem for kernels and options.
+     * @param {number} amount - Maximum elevation change per hex
+     * @returns {Object} The erosion history record for this step
+     */
+    applyErosion(amount, options = {}) {
+        const record = this.erosion.apply(amount, options);
+        record.ruinSpread = this.ruin.spread(amount);
+        return record;
+    }
+
+    /**
+     * Turn a hex into ruin. See RuinSystem for options.
+     */
+    setRuin(col, row, options = {}) {
+        return this.ruin.place(col, row, options);
+    }
+
+    /**
+     * Restore a ruined hex
+     */
+    clearRuin(col, row) {
+        this.ruin.clear(col, row);
+    }
+
+    /**
+     * Replace the landscape with a seeded, generated one.
+     * See LandscapeGenerator for options.
+     * @returns {Object} { seed, attractors, ruin, start }
+     */
+    generate(options = {}) {
+        const layout = new LandscapeGenerator(this).generate(options);
+        this.markChanged();
+        return layout;
+    }
+
+    /**
+     * Find the basins of attraction in the current landscape.
+     * See BasinAnalysis. The analysis is kept until the ground changes
+     * (see revision), so treat it as read-only.
+     * @returns {BasinAnalysis}
+     */
+    analyzeBasins() {
+        if (!this.basinCache || this.basinCache.revision !== this.revision) {
+            this.basinCache = { revision: this.revision, basins: new BasinAnalysis(this).analyze() };
         }
+        return this.basinCache.basins;
+    }
+
+    /**
+     * Find the easiest way out of the basin containing a hex: its saddle,
+     * barrier height and escape path. See TippingAnalysis.
+     */
+    findTippingPoint(col, row, options = {}) {
+        return new TippingAnalysis(this).analyze(col, row, options);
+    }
+
+    /**
+     * Offset coordinates of all six neighbours (E, NE, NW, W, SW, SE),
+     * including those that fall outside the grid
+     */
+    getNeighborCoords(col, row) {
+        const { q, r } = HexGrid.offsetToAxial(col, row);
+        return HexGrid.DIRECTIONS.map(d => HexGrid.axialToOffset(q + d.q, r + d.r));
     }
 
-    // Neighbor offsets for pointy-top with odd-row right offset
     getNeighbors(col, row) {
         const neighbors = [];
-        const isOddRow = row % 2 === 1;
-
-        // Directions: E, NE, NW, W, SW, SE
-        const dirs = isOddRow ? [
-            { dc: 1, dr: 0 },
-            { dc: 1, dr: -1 },
-            { dc: 0, dr: -1 },
-            { dc: -1, dr: 0 },
-            { dc: 0, dr: 1 },
-            { dc: 1, dr: 1 },
-        ] : [
-            { dc: 1, dr: 0 },
-            { dc: 0, dr: -1 },
-            { dc: -1, dr: -1 },
-            { dc: -1, dr: 0 },
-            { dc: -1, dr: 1 },
-            { dc: 0, dr: 1 },
-        ];
-
-        for (const d of dirs) {
-            const n = this.getHex(col + d.dc, row + d.dr);
+        for (const pos of this.getNeighborCoords(col, row)) {
+            const n = this.getHex(pos.col, pos.row);
             if (n) neighbors.push(n);
         }
         return neighbors;
     }
 
+    /**
+     * Hex distance (number of steps) between two offset positions
+     */
+    distance(col1, row1, col2, row2) {
+        const a = HexGrid.offsetToCube(col1, row1);
+        const b = HexGrid.offsetToCube(col2, row2);
+        return Math.max(Math.abs(a.q - b.q), Math.abs(a.r - b.r), Math.abs(a.s - b.s));
+    }
+
+    /**
+     * Cells exactly `radius` steps away, walking the ring counter-clockwise
+     * from the south-west corner. Positions off the grid are skipped.
+     */
+    getRing(col, row, radius) {
+        if (radius === 0) {
+            const center = this.getHex(col, row);
+            return center ? [center] : [];
+        }
+
+        const results = [];
+        const start = HexGrid.offsetToAxial(col, row);
+        const corner = HexGrid.DIRECTIONS[4];
+        let q = start.q + corner.q * radius;
+        let r = start.r + corner.r * radius;
+
+        for (let i = 0; i < 6; i++) {
+            for (let j = 0; j < radius; j++) {
+                const cell = this.getHexAxial(q, r);
+                if (cell) results.push(cell);
+                q += HexGrid.DIRECTIONS[i].q;
+                r += HexGrid.DIRECTIONS[i].r;
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Cells within `radius` steps, ordered centre first, then ring by ring
+     */
+    getSpiral(col, row, radius) {
+        const results = [];
+        for (let ring = 0; ring <= radius; ring++) {
+            results.push(...this.getRing(col, row, ring));
+        }
+        return results;
+    }
+
+    /**
+     * Cells within `radius` steps, in grid order
+     */
+    getRange(col, row, radius) {
+        const results = [];
+        const center = HexGrid.offsetToAxial(col, row);
+        for (let dq = -radius; dq <= radius; dq++) {
+            const rMin = Math.max(-radius, -dq - radius);
+            const rMax = Math.min(radius, -dq + radius);
+            for (let dr = rMin; dr <= rMax; dr++) {
+                const cell = this.getHexAxial(center.q + dq, center.r + dr);
+                if (cell) results.push(cell);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Cells on the straight line between two positions, inclusive
+     */
+    getLine(col1, row1, col2, row2) {
+        const a = HexGrid.offsetToCube(col1, row1);
+        const b = HexGrid.offsetToCube(col2, row2);
+        const steps = this.distance(col1, row1, col2, row2);
+        const results = [];
+
+        // Nudge off exact edges so ties round the same way every time
+        const eps = { q: 1e-6, r: 2e-6, s: -3e-6 };
+        for (let i = 0; i <= steps; i++) {
+            const t = steps === 0 ? 0 : i / steps;
+            const cube = HexGrid.cubeRound({
+                q: a.q + eps.q + (b.q - a.q) * t,
+                r: a.r + eps.r + (b.r - a.r) * t,
+                s: a.s + eps.s + (b.s - a.s) * t
+            });
+            const cell = this.getHexAxial(cube.q, cube.r);
+            if (cell) results.push(cell);
+        }
+        return results;
+    }
+
+    /**
+     * Rotate a position around a centre in 60° steps (positive = clockwise).
+     * The result may lie off the grid.
+     * @returns {{col: number, row: number}}
+     */
+    rotate(col, row, centerCol, centerRow, steps = 1) {
+        const p = HexGrid.offsetToCube(col, row);
+        const c = HexGrid.offsetToCube(centerCol, centerRow);
+        let v = { q: p.q - c.q, r: p.r - c.r, s: p.s - c.s };
+
+        const turns = ((steps % 6) + 6) % 6;
+        for (let i = 0; i < turns; i++) {
+            v = { q: -v.r, r: -v.s, s: -v.q };
+        }
+        return HexGrid.cubeToOffset({ q: c.q + v.q, r: c.r + v.r, s: c.s + v.s });
+    }
+
     /**
      * Get pixel position for top-left corner of hex bounding box
      * (This matches the Stack Overflow approach)
@@ -212,36 +486,82 @@ class HexGrid {
         return this.getHex(coords.col, coords.row);
     }
 
-    calculateGradient(col, row) {
-        const cell = this.getHex(col, row);
-        if (!cell) return { x: 0, y: 0 };
-
-        const neighbors = this.getNeighbors(col, row);
-        if (!neighbors.length) return { x: 0, y: 0 };
-
-        const pos = this.hexToPixel(col, row);
-        let gx = 0, gy = 0;
-
-        for (const n of neighbors) {
-            const npos = this.hexToPixel(n.col, n.row);
-            const dx = npos.x - pos.x;
-            const dy = npos.y - pos.y;
-            const dist = Math.hypot(dx, dy);
-            if (dist > 0) {
-                const weight = (cell.elevation - n.elevation) / dist;
-                gx += (dx / dist) * weight;
-                gy += (dy / dist) * weight;
-            }
+    /**
+     * Elevation at any pixel, blended smoothly between hex centres. Each
+     * nearby centre counts with a Gaussian weight on its distance, so the
+     * field sits close to a hex's own level near its centre and changes
+     * smoothly across borders.
+     * @returns {number} Elevation, or 0 far off the grid
+     */
+    sampleElevation(x, y) {
+        return this._sampleField(x, y).elevation;
+    }
+
+    /**
+     * Slope of the elevation field at any pixel. Its size is the
+     * steepness, so steep ground pushes harder than gentle ground.
+     * @returns {Object} { x, y } uphill gradient, in levels per px
+     */
+    sampleGradient(x, y) {
+        return this._sampleField(x, y).gradient;
+    }
+
+    /**
+     * Gaussian-weighted average of nearby hex elevations, and its exact
+     * derivative: with weights w = exp(-d² / 2σ²), f = Σwe / Σw and
+     * ∂f/∂x = -Σw(e - f)(x - cx) / (σ² Σw)
+     */
+    _sampleField(x, y) {
+        const near = this.pixelToHex(x, y);
+        const sigma = HexGrid.FIELD_BANDWIDTH * this.xSpacing;
+        const sigma2 = sigma * sigma;
+
+        let total = 0, weighted = 0;
+        let sumX = 0, sumY = 0, weightedX = 0, weightedY = 0;
+        for (const cell of this.getRange(near.col, near.row, HexGrid.FIELD_REACH)) {
+            const center = this.hexToPixel(cell.col, cell.row);
+            const dx = x - center.x;
+            const dy = y - center.y;
+            const w = Math.exp(-(dx * dx + dy * dy) / (2 * sigma2));
+            total += w;
+            weighted += w * cell.elevation;
+            sumX += w * dx;
+            sumY += w * dy;
+            weightedX += w * cell.elevation * dx;
+            weightedY += w * cell.elevation * dy;
         }
 
-        const mag = Math.hypot(gx, gy);
-        if (mag > 0) { gx /= mag; gy /= mag; }
-        return { x: gx, y: gy };
+        if (total === 0) {
+            return { elevation: 0, gradient: { x: 0, y: 0 } };
+        }
+
+        const elevation = weighted / total;
+        return {
+            elevation,
+            gradient: {
+                x: -(weightedX - elevation * sumX) / (sigma2 * total),
+                y: -(weightedY - elevation * sumY) / (sigma2 * total)
+            }
+        };
+    }
+
+    /**
+     * Elevation the player is shown: the scouted estimate if there is one,
+     * then the elevation as last seen, otherwise the truth
+     */
+    getDisplayedElevation(cell) {
+        if (cell.estimate) return cell.estimate.elevation;
+        if (cell.seen) return cell.seen.elevation;
+        return cell.elevation;
     }
 
     getElevationColor(cell) {
-        if (cell.isRuin) return HexGrid.ELEVATION_COLORS['ruin'];
-        const e = Math.max(-3, Math.min(3, Math.round(cell.elevation)));
+        if (cell.isRuin) {
+            return cell.ruinType === 'recoverable'
+                ? HexGrid.ELEVATION_COLORS['ruin-recoverable']
+                : HexGrid.ELEVATION_COLORS['ruin'];
+        }
+        const e = Math.max(-3, Math.min(3, Math.round(this.getDisplayedElevation(cell))));
         return HexGrid.ELEVATION_COLORS[e.toString()];
     }
 
@@ -249,11 +569,18 @@ class HexGrid {
      * Draw hexagon using Stack Overflow vertex positions
      */
     drawHex(ctx, cell, viewOffset = { x: 0, y: 0 }) {
+        this.paintHexFace(ctx, cell, this.getHexVertices(cell, viewOffset));
+    }
+
+    /**
+     * Corners of a hex on screen, clockwise from the top
+     */
+    getHexVertices(cell, viewOffset = { x: 0, y: 0 }) {
         const pos = this._getHexPosition(cell.col, cell.row);
         const x = pos.x - viewOffset.x;
         const y = pos.y - viewOffset.y;
 
-        const vertices = [
+        return [
             { x: x + this.hexRadius, y: y }, // Top Center
             { x: x + this.hexRectangleWidth, y: y + this.hexHeight }, // Top Right
             { x: x + this.hexRectangleWidth, y: y + this.hexHeight + this.sideLength }, // Bottom Right
@@ -261,7 +588,15 @@ class HexGrid {
             { x: x, y: y + this.sideLength + this.hexHeight }, // Bottom Left
             { x: x, y: y + this.hexHeight } // Top Left
         ];
+    }
 
+    /**
+     * Fill and outline a hex face with its elevation colour, highlight,
+     * out-of-bounds edges, fog and error feedback. The vertices may be
+     * projected (e.g. by LandscapeRenderer), so everything is placed
+     * relative to them.
+     */
+    paintHexFace(ctx, cell, vertices) {
         ctx.beginPath();
         ctx.moveTo(vertices[0].x, vertices[0].y);
         for (let i = 1; i < vertices.length; i++) {
@@ -301,15 +636,15 @@ class HexGrid {
             ctx.stroke();
         }
 
+        if (cell.isRevealed && cell.estimate && cell.estimate.uncertainty >= HexGrid.UNCERTAIN) {
+            this._paintUncertainty(ctx, cell, vertices);
+        }
+        if (cell.isRevealed && cell.isStale) {
+            this._paintStale(ctx, vertices);
+        }
+
         // Draw thick red borders for Out of Bounds edges
-        const isOddRow = cell.row % 2 === 1;
-        const dirOffsets = isOddRow ? [
-            { dc: 1, dr: 0 }, { dc: 1, dr: -1 }, { dc: 0, dr: -1 },
-            { dc: -1, dr: 0 }, { dc: 0, dr: 1 }, { dc: 1, dr: 1 }
-        ] : [
-            { dc: 1, dr: 0 }, { dc: 0, dr: -1 }, { dc: -1, dr: -1 },
-            { dc: -1, dr: 0 }, { dc: -1, dr: 1 }, { dc: 0, dr: 1 }
-        ];
+        const neighborCoords = this.getNeighborCoords(cell.col, cell.row);
 
         // Map offsets to edges: 0:Right, 1:TopRight, 2:TopLeft, 3:Left, 4:BottomLeft, 5:BottomRight
         // Vertex pairs for edges: 
@@ -323,7 +658,7 @@ class HexGrid {
         ctx.lineCap = 'round';
 
         for (let i = 0; i < 6; i++) {
-            const neighbor = this.getHex(cell.col + dirOffsets[i].dc, cell.row + dirOffsets[i].dr);
+            const neighbor = this.getHex(neighborCoords[i].col, neighborCoords[i].row);
             if (!neighbor) {
                 const v1 = vertices[edges[i][0]];
                 const v2 = vertices[edges[i][1]];
@@ -334,7 +669,7 @@ class HexGrid {
             }
         }
 
-        if (!cell.isRevealed) {
+        if (!cell.isRevealed && this.paintsFog) {
             ctx.fillStyle = 'rgba(180,180,200,0.85)';
             ctx.fill();
         }
@@ -342,22 +677,84 @@ class HexGrid {
         // Error Feedback (red X) - Smaller size
         if (cell.isError) {
             const size = this.sideLength * 0.2;
+            const cx = vertices[0].x;
+            const cy = (vertices[0].y + vertices[3].y) / 2;
             ctx.strokeStyle = '#E84855';
             ctx.lineWidth = 3;
             ctx.lineCap = 'round';
 
             ctx.beginPath();
-            ctx.moveTo(x + this.hexRadius - size, y + this.hexHeight + this.sideLength / 2 - size);
-            ctx.lineTo(x + this.hexRadius + size, y + this.hexHeight + this.sideLength / 2 + size);
+            ctx.moveTo(cx - size, cy - size);
+            ctx.lineTo(cx + size, cy + size);
             ctx.stroke();
 
             ctx.beginPath();
-            ctx.moveTo(x + this.hexRadius + size, y + this.hexHeight + this.sideLength / 2 - size);
-            ctx.lineTo(x + this.hexRadius - size, y + this.hexHeight + this.sideLength / 2 + size);
+            ctx.moveTo(cx + size, cy - size);
+            ctx.lineTo(cx - size, cy + size);
             ctx.stroke();
         }
     }
 
+    /**
+     * Hatch a scouted hex, bolder the less sure the estimate, and label
+     * it with its error band
+     */
+    _paintUncertainty(ctx, cell, vertices) {
+        const { uncertainty } = cell.estimate;
+        const cx = vertices[0].x;
+        const cy = (vertices[0].y + vertices[3].y) / 2;
+        const size = this.sideLength;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.moveTo(vertices[0].x, vertices[0].y);
+        for (let i = 1; i < vertices.length; i++) {
+            ctx.lineTo(vertices[i].x, vertices[i].y);
+        }
+        ctx.closePath();
+        ctx.clip();
+
+        ctx.strokeStyle = `rgba(255, 255, 255, ${Math.min(0.8, uncertainty * 0.6)})`;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let d = -2 * size; d <= 2 * size; d += size / 3) {
+            ctx.moveTo(cx + d - size, cy + size);
+            ctx.lineTo(cx + d + size, cy - size);
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(26, 26, 46, 0.7)';
+        ctx.font = `${Math.max(9, Math.round(size * 0.4))}px "Work Sans", sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`±${uncertainty.toFixed(1)}`, cx, cy);
+        ctx.restore();
+    }
+
+    /**
+     * Dashed amber outline, just inside the hex, on ground that has changed
+     * since it was seen
+     */
+    _paintStale(ctx, vertices) {
+        const cx = vertices[0].x;
+        const cy = (vertices[0].y + vertices[3].y) / 2;
+
+        ctx.save();
+        ctx.beginPath();
+        vertices.forEach((v, i) => {
+            const x = cx + (v.x - cx) * 0.8;
+            const y = cy + (v.y - cy) * 0.8;
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.closePath();
+        ctx.strokeStyle = '#E8A838';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 3]);
+        ctx.stroke();
+        ctx.restore();
+    }
+
     draw(ctx, viewOffset = { x: 0, y: 0 }) {
         // Draw normal cells first
         const highlighted = [];
@@ -390,24 +787,230 @@ class HexGrid {
         return Array.from(this.cells.values());
     }
 
+    /**
+     * Serialize the landscape. Cell fields at their default value
+     * (no ruin, revealed, no resistance, no annotation) are left out.
+     * Ruin cells store the ground elevation they had before ruin.
+     */
+    toJSON() {
+        const cells = this.getAllCells().map(cell => {
+            const data = {
+                col: cell.col,
+                row: cell.row,
+                elevation: cell.isRuin ? (cell.elevationBeforeRuin ?? 0) : cell.elevation
+            };
+            if (cell.isRuin) data.ruin = { type: cell.ruinType, spreads: cell.ruinSpreads };
+            if (!cell.isRevealed) data.revealed = false;
+            if (cell.erosionResistance) data.resistance = cell.erosionResistance;
+            if (cell.annotation !== null) data.annotation = cell.annotation;
+            return data;
+        });
+
+        return {
+            format: HexGrid.FORMAT,
+            version: HexGrid.FORMAT_VERSION,
+            meta: { ...this.meta },
+            cols: this.cols,
+            rows: this.rows,
+            sideLength: this.sideLength,
+            cells
+        };
+    }
+
+    /**
+     * Build a new grid from a saved landscape
+     * @param {Object|string} data - Parsed landscape or its JSON text
+     * @throws {LandscapeFormatError}
+     */
+    static fromJSON(data) {
+        const landscape = HexGrid.validateJSON(data);
+        const grid = new HexGrid(landscape.cols, landscape.rows, landscape.sideLength);
+        grid._applyLandscape(landscape);
+        return grid;
+    }
+
+    /**
+     * Fetch and build a grid from a landscape file
+     */
+    static async load(url) {
+        return HexGrid.fromJSON(await HexGrid.fetchJSON(url));
+    }
+
+    /**
+     * Fetch and check a landscape file, e.g. to load it onto an existing
+     * grid with loadJSON()
+     * @returns {Object} The parsed landscape
+     * @throws {LandscapeFormatError}
+     */
+    static async fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new LandscapeFormatError(`Could not load landscape ${url} (${response.status})`);
+        }
+        return HexGrid.validateJSON(await response.text());
+    }
+
+    /**
+     * Replace this grid's landscape in place, keeping its hex size.
+     * The saved landscape must have the same dimensions.
+     * @throws {LandscapeFormatError}
+     */
+    loadJSON(data) {
+        const landscape = HexGrid.validateJSON(data);
+        if (landscape.cols !== this.cols || landscape.rows !== this.rows) {
+            throw new LandscapeFormatError(
+                `Landscape is ${landscape.cols}x${landscape.rows}, but this grid is ${this.cols}x${this.rows}`
+            );
+        }
+        this._applyLandscape(landscape);
+    }
+
+    /**
+     * Check a saved landscape and return it parsed
+     * @throws {LandscapeFormatError} Describing the first problem found
+     */
+    static validateJSON(data) {
+        let landscape = data;
+        if (typeof data === 'string') {
+            try {
+                landscape = JSON.parse(data);
+            } catch (err) {
+                throw new LandscapeFormatError(`Landscape is not valid JSON: ${err.message}`);
+            }
+        }
+
+        const fail = (message) => { throw new LandscapeFormatError(message); };
+        const isInt = (v) => Number.isInteger(v);
+
+        if (!landscape || typeof landscape !== 'object' || Array.isArray(landscape)) {
+            fail('Landscape must be a JSON object');
+        }
+        if (landscape.format !== HexGrid.FORMAT) {
+            fail(`Not a landscape file: expected format "${HexGrid.FORMAT}", got ${JSON.stringify(landscape.format)}`);
+        }
+        if (!isInt(landscape.version) || landscape.version < 1) {
+            fail(`Invalid landscape version ${JSON.stringify(landscape.version)}`);
+        }
+        if (landscape.version > HexGrid.FORMAT_VERSION) {
+            fail(`Landscape version ${landscape.version} is newer than this app supports (${HexGrid.FORMAT_VERSION})`);
+        }
+        if (landscape.meta !== undefined && (typeof landscape.meta !== 'object' || landscape.meta === null || Array.isArray(landscape.meta))) {
+            fail('"meta" must be an object');
+        }
+        for (const field of ['cols', 'rows']) {
+            if (!isInt(landscape[field]) || landscape[field] < 1 || landscape[field] > 100) {
+                fail(`"${field}" must be a whole number from 1 to 100`);
+            }
+        }
+        if (typeof landscape.sideLength !== 'number' || !(landscape.sideLength > 0)) {
+            fail('"sideLength" must be a positive number');
+        }
+        if (!Array.isArray(landscape.cells)) {
+            fail('"cells" must be an array');
+        }
+        if (landscape.start !== undefined && landscape.start !== null) {
+            const start = landscape.start;
+            if (typeof start !== 'object' || !isInt(start.col) || !isInt(start.row) ||
+                start.col < 0 || start.col >= landscape.cols || start.row < 0 || start.row >= landscape.rows) {
+                fail(`"start" must be a { col, row } inside the ${landscape.cols}x${landscape.rows} grid`);
+            }
+        }
+
+        const seen = new Set();
+        landscape.cells.forEach((cell, i) => {
+            const where = `cells[${i}]`;
+            if (!cell || typeof cell !== 'object') fail(`${where} must be an object`);
+            if (!isInt(cell.col) || !isInt(cell.row) ||
+                cell.col < 0 || cell.col >= landscape.cols || cell.row < 0 || cell.row >= landscape.rows) {
+                fail(`${where} is outside the ${landscape.cols}x${landscape.rows} grid`);
+            }
+            const key = `${cell.col},${cell.row}`;
+            if (seen.has(key)) fail(`${where} repeats hex ${key}`);
+            seen.add(key);
+
+            if (typeof cell.elevation !== 'number' || !Number.isFinite(cell.elevation) ||
+                cell.elevation < -3 || cell.elevation > 3) {
+                fail(`${where}.elevation must be a number from -3 to 3`);
+            }
+            if (cell.ruin !== undefined && cell.ruin !== null) {
+                if (typeof cell.ruin !== 'object' || !RuinSystem.TYPES.includes(cell.ruin.type)) {
+                    fail(`${where}.ruin.type must be one of: ${RuinSystem.TYPES.join(', ')}`);
+                }
+                if (cell.ruin.spreads !== undefined && typeof cell.ruin.spreads !== 'boolean') {
+                    fail(`${where}.ruin.spreads must be true or false`);
+                }
+            }
+            if (cell.revealed !== undefined && typeof cell.revealed !== 'boolean') {
+                fail(`${where}.revealed must be true or false`);
+            }
+            if (cell.resistance !== undefined &&
+                (typeof cell.resistance !== 'number' || !(cell.resistance >= 0 && cell.resistance <= 1))) {
+                fail(`${where}.resistance must be a number from 0 to 1`);
+            }
+            if (cell.annotation !== undefined && cell.annotation !== null && typeof cell.annotation !== 'string') {
+                fail(`${where}.annotation must be text`);
+            }
+        });
+
+        return landscape;
+    }
+
+    /**
+     * Write a validated landscape onto this grid. Hexes missing from the
+     * file get default flat ground.
+     */
+    _applyLandscape(landscape) {
+        this.reset();
+        for (const cell of this.getAllCells()) {
+            cell.annotation = null;
+        }
+        this.meta = { ...(landscape.meta || {}) };
+
+        for (const data of landscape.cells) {
+            const cell = this.getHex(data.col, data.row);
+            cell.elevation = data.elevation;
+            cell.isRevealed = data.revealed !== false;
+            cell.erosionResistance = data.resistance || 0;
+            cell.annotation = data.annotation ?? null;
+            if (data.ruin) {
+                this.setRuin(data.col, data.row, { type: data.ruin.type, spreads: data.ruin.spreads });
+            }
+        }
+        this.markChanged();
+    }
+
     reset() {
         for (const cell of this.cells.values()) {
             cell.elevation = 0;
-            cell.isRuin = false;
             cell.isRevealed = true;
+            cell.estimate = null;
+            cell.seen = null;
+            cell.isStale = false;
             cell.isHighlighted = false;
+            cell.erosionResistance = 0;
         }
+        this.ruin.reset();
+        this.erosion.reset();
+        this.markChanged();
     }
 
-    createValley(col, row, depth = -2) {
+    /**
+     * Carve a valley: `depth` at the centre, rising one level per ring
+     * out to `radius` rings
+     */
+    createValley(col, row, depth = -2, radius = 1) {
         const center = this.getHex(col, row);
         if (center) center.elevation = depth;
+        this.markChanged();
 
-        for (const n of this.getNeighbors(col, row)) {
-            if (!n.isRuin) n.elevation = Math.min(n.elevation, depth + 1);
+        for (let ring = 1; ring <= radius; ring++) {
+            for (const n of this.getRing(col, row, ring)) {
+                if (!n.isRuin) n.elevation = Math.min(n.elevation, depth + ring);
+            }
         }
     }
 }
 
 window.HexGrid = HexGrid;
 window.HexCell = HexCell;
+window.LandscapeFormatError = LandscapeFormatError;
@@ -17,6 +17,7 @@ class ResilienceLandscapesApp {
 
         // State
         this.currentAct = 0; // 0 = intro, 1-5 = acts
+        this.editorEnabled = new URLSearchParams(window.location.search).has('editor');
 
         // Bind methods
         this._onStartClick = this._onStartClick.bind(this);
@@ -27,6 +28,7 @@ class ResilienceLandscapesApp {
      */
     init() {
         console.log('🌊 Resilience Landscapes initializing...');
+        console.log(`🎲 Session seed: ${window.rng.seed} (replay with ?seed=${window.rng.seed})`);
 
         // Set up navigation listeners
         this._setupNavigationListeners();
@@ -168,11 +170,17 @@ class ResilienceLandscapesApp {
     /**
      * Initialize Act 1
      */
-    _initAct1() {
+    async _initAct1() {
         if (!this.act1) {
             this.act1 = new Act1Trap();
         }
-        this.act1.init('act1-canvas');
+        await this.act1.init('act1-canvas');
+        if (!this.act1.ball) return; // The landscape didn't load
+        this._attachEditor(this.act1, this.act1.canvas, this.act1.grid, {
+            ball: this.act1.ball,
+            renderer: this.act1.renderer,
+            getViewOffset: () => this.act1.viewOffset
+        });
 
         this.act1.onComplete = (data) => {
             console.log('Act 1 complete:', data);
@@ -199,6 +207,10 @@ class ResilienceLandscapesApp {
             this.act2 = new Act2Tipping();
         }
         this.act2.init('act2a-canvas', 'act2b-canvas');
+        this._attachEditor(this.act2, this.act2.canvasA, this.act2.gridA, {
+            ball: this.act2.ballA,
+            renderer: this.act2.rendererA
+        });
 
         if (!this.act2Quiz) {
             this.act2Quiz = new Act2Quiz();
@@ -218,6 +230,11 @@ class ResilienceLandscapesApp {
             this.act3 = new Act3Wobble();
         }
         this.act3.init('act3-canvas');
+        this._attachEditor(this.act3, this.act3.canvas, this.act3.grid, {
+            ball: this.act3.ball,
+            fog: this.act3.fog,
+            renderer: this.act3.renderer
+        });
 
         this.act3.onComplete = (data) => {
             console.log('Act 3 complete:', data);
@@ -232,6 +249,11 @@ class ResilienceLandscapesApp {
             this.act4 = new Act4Panic();
         }
         this.act4.init('act4-canvas');
+        this._attachEditor(this.act4, this.act4.canvas, this.act4.grid, {
+            ball: this.act4.ball,
+            fog: this.act4.fog,
+            renderer: this.act4.renderer
+        });
 
         this.act4.onComplete = (data) => {
             console.log('Act 4 complete:', data);
@@ -246,12 +268,28 @@ class ResilienceLandscapesApp {
             this.act5 = new Act5Governor();
         }
         this.act5.init('act5-canvas');
+        this._attachEditor(this.act5, this.act5.canvas, this.act5.grid, {
+            ball: this.act5.ball,
+            fog: this.act5.fog,
+            renderer: this.act5.renderer
+        });
 
         this.act5.onComplete = (data) => {
             console.log('Act 5 complete:', data);
         };
     }
 
+    /**
+     * Give an act a landscape editor when the page was opened with ?editor.
+     * Acts build a fresh grid on every init, so any old editor is replaced.
+     */
+    _attachEditor(act, canvas, grid, options = {}) {
+        if (!this.editorEnabled || !canvas || !grid) return;
+
+        if (act.editor) act.editor.destroy();
+        act.editor = new LandscapeEditor(canvas, grid, options);
+    }
+
     /**
      * Show a specific section
      */
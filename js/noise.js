@@ -0,0 +1,155 @@
+/**
+ * NoiseProcess - The shocks that push the ball around
+ *
+ * Noise comes in several kinds, all scaled by the ball's noise level (0 to 1):
+ * - kicks: the original model. Kicks of similar size in a random direction,
+ *   at a steady chance per step.
+ * - white: Gaussian white noise, a constant jitter with no memory.
+ * - red: autocorrelated (Ornstein-Uhlenbeck) noise. Pushes persist like
+ *   wind, so the ball drifts for a while before the push changes.
+ * - shocks: Poisson-timed shocks with Pareto (power-law) sizes. Most shocks
+ *   are small, but now and then one is far larger than anything seen before.
+ * - levy: like shocks, with Lévy-distributed sizes. The tail is heavier still.
+ * - bursty: self-exciting (Hawkes-like) shocks. Each shock makes more shocks
+ *   likely for a while, so quiet spells alternate with clusters.
+ *
+ * Fat-tailed and bursty noise is where a "sense of safety" fails: a long
+ * calm run says little about the size of the next shock.
+ *
+ * Each ball needs its own process, as red and bursty noise keep state.
+ */
+
+class NoiseProcess {
+    static TYPES = ['kicks', 'white', 'red', 'shocks', 'levy', 'bursty'];
+
+    static DEFAULTS = {
+        kickChance: 0.1,       // Chance of a kick per step at full noise
+        kickScale: 5,          // Largest kick at full noise
+        whiteScale: 0.6,       // Velocity change per step (standard deviation) at full noise
+        redScale: 0.25,        // Push per step (standard deviation) at full noise
+        redCorrelationTime: 800, // ms for a red-noise push to decorrelate
+        shockRate: 1.2,        // Shocks per second at full noise
+        shockScale: 2.5,       // Smallest Pareto shock at full noise
+        paretoAlpha: 1.5,      // Tail exponent; below 2 the variance is infinite
+        levyScale: 0.5,        // Lévy scale at full noise
+        maxShock: 40,          // Cap on one shock, so a single draw can't be absurd
+        burstBaseRate: 0.4,    // Background shocks per second at full noise
+        burstExcitation: 1.2,  // Extra shocks per second added by each shock (times burstDecay must stay below 1 s)
+        burstDecay: 600,       // ms for the extra rate to fade
+        burstScale: 5          // Mean shock size at full noise
+    };
+
+    /**
+     * @param {string} type - One of TYPES
+     * @param {Object} options - Overrides for DEFAULTS
+     */
+    constructor(type = 'kicks', options = {}) {
+        if (!NoiseProcess.TYPES.includes(type)) {
+            throw new Error(`Unknown noise type "${type}"`);
+        }
+        this.type = type;
+        this.options = { ...NoiseProcess.DEFAULTS, ...options };
+        this.reset();
+    }
+
+    /**
+     * Forget any remembered push or excitement
+     */
+    reset() {
+        this.push = { x: 0, y: 0 }; // Current red-noise push
+        this.excitation = 0;        // Extra bursty shock rate, per second
+    }
+
+    /**
+     * Noise for one physics step
+     * @param {number} level - Noise level, 0 to 1
+     * @param {SeededRandom} random - The ball's random stream
+     * @param {number} dt - Step length in ms
+     * @returns {Object|null} { x, y, shock } velocity change, where shock marks
+     *   a discrete kick (for return-time tracking); null when nothing happens
+     */
+    step(level, random, dt) {
+        if (level <= 0) return null;
+
+        switch (this.type) {
+            case 'white': return this._white(level, random, dt);
+            case 'red': return this._red(level, random, dt);
+            case 'shocks': return this._shock(level, random, dt, 'pareto');
+            case 'levy': return this._shock(level, random, dt, 'levy');
+            case 'bursty': return this._bursty(level, random, dt);
+            default: return this._kicks(level, random);
+        }
+    }
+
+    _kicks(level, random) {
+        // Chance of a perturbation depends on noise level
+        if (random.next() >= level * this.options.kickChance) return null;
+
+        const angle = random.next() * Math.PI * 2;
+        const magnitude = level * this.options.kickScale * (0.5 + random.next() * 0.5);
+        return { x: Math.cos(angle) * magnitude, y: Math.sin(angle) * magnitude, shock: true };
+    }
+
+    _white(level, random, dt) {
+        // Variance grows with time, so the deviation grows with √dt
+        const sd = level * this.options.whiteScale * Math.sqrt(dt / 16.67);
+        return { x: random.normal(0, sd), y: random.normal(0, sd), shock: false };
+    }
+
+    _red(level, random, dt) {
+        // AR(1) update: keep a share of the old push, top up with fresh noise
+        const phi = Math.exp(-dt / this.options.redCorrelationTime);
+        const sd = level * this.options.redScale * Math.sqrt(1 - phi * phi);
+        this.push.x = phi * this.push.x + random.normal(0, sd);
+        this.push.y = phi * this.push.y + random.normal(0, sd);
+
+        const timeScale = dt / 16.67;
+        return { x: this.push.x * timeScale, y: this.push.y * timeScale, shock: false };
+    }
+
+    _shock(level, random, dt, distribution) {
+        const rate = level * this.options.shockRate;
+        if (random.next() >= 1 - Math.exp(-rate * dt / 1000)) return null;
+
+        const size = distribution === 'levy'
+            ? NoiseProcess.levy(random, level * this.options.levyScale)
+            : NoiseProcess.pareto(random, level * this.options.shockScale, this.options.paretoAlpha);
+        return this._kick(Math.min(size, this.options.maxShock), random);
+    }
+
+    _bursty(level, random, dt) {
+        const { burstBaseRate, burstExcitation, burstDecay, burstScale } = this.options;
+
+        // The extra rate fades between shocks
+        this.excitation *= Math.exp(-dt / burstDecay);
+        const rate = level * burstBaseRate + this.excitation;
+        if (random.next() >= 1 - Math.exp(-rate * dt / 1000)) return null;
+
+        this.excitation += burstExcitation;
+        const size = -Math.log(1 - random.next()) * level * burstScale; // Exponential sizes
+        return this._kick(Math.min(size, this.options.maxShock), random);
+    }
+
+    _kick(size, random) {
+        const angle = random.next() * Math.PI * 2;
+        return { x: Math.cos(angle) * size, y: Math.sin(angle) * size, shock: true };
+    }
+
+    /**
+     * Pareto draw: at least min, with P(X > x) = (min / x)^alpha
+     */
+    static pareto(random, min, alpha) {
+        return min * Math.pow(1 - random.next(), -1 / alpha);
+    }
+
+    /**
+     * Lévy draw (the one-sided stable law with alpha 1/2): scale / Z²
+     */
+    static levy(random, scale) {
+        const z = random.normal(0, 1);
+        return z === 0 ? Infinity : scale / (z * z);
+    }
+}
+
+// Export for use in other modules
+window.NoiseProcess = NoiseProcess;
@@ -0,0 +1,303 @@
+/**
+ * LandscapeOverlays - Shows which way the landscape pushes
+ *
+ * The colours say how high each hex is, but not where a ball would go.
+ * Three optional layers, drawn over the board, make the push visible:
+ * - flow: an arrow on each hex, pointing downhill, longer where it's steeper
+ * - contours: lines of equal height, halfway between elevation levels
+ * - streamlines: the path a ball with no momentum would take from each hex
+ *
+ * All three are read from the smooth elevation field (see
+ * HexGrid.sampleGradient) that moves the ball, so they are the truth:
+ * nothing is drawn over hexes hidden by fog, only known from scouting, or
+ * gone stale. Contours and streamlines are traced once per landscape and
+ * cut to the known ground as they are drawn, so clearing fog costs nothing.
+ */
+
+class LandscapeOverlays {
+    static LAYERS = ['flow', 'contours', 'streamlines'];
+    static CONTOUR_LEVELS = [-2.5, -1.5, -0.5, 0.5, 1.5, 2.5];
+    static CONTOUR_SPACING = 0.5;  // Contour sampling step, as a share of the hex side
+    static FULL_SLOPE = 2;         // Levels per hex that draw a full-length arrow
+    static MIN_SLOPE = 0.05;       // Levels per hex below which ground counts as flat
+    static STREAM_STEP = 0.2;      // Streamline step, as a share of the hex side
+    static STREAM_MAX_STEPS = 80;
+
+    /**
+     * @param {HexGrid} grid - The landscape to read
+     * @param {Object} options
+     * @param {string[]} options.layers - Layers to show from the start
+     */
+    constructor(grid, options = {}) {
+        this.grid = grid;
+        this.layers = new Set();
+        for (const layer of options.layers || []) {
+            this.toggle(layer, true);
+        }
+
+        this.cacheRevision = null; // grid.revision the cached lines were traced on
+        this.contours = [];   // [{ level, segments: [{ a, b, cell }, ...] }]
+        this.streamlines = []; // [[{ x, y, cell }, ...], ...]
+    }
+
+    /**
+     * Show or hide a layer
+     * @param {string} layer - One of LAYERS
+     * @param {boolean} visible - Omit to flip
+     */
+    toggle(layer, visible = !this.layers.has(layer)) {
+        if (!LandscapeOverlays.LAYERS.includes(layer)) {
+            throw new Error(`Unknown overlay "${layer}"`);
+        }
+        if (visible) {
+            this.layers.add(layer);
+        } else {
+            this.layers.delete(layer);
+        }
+    }
+
+    isVisible(layer) {
+        return this.layers.has(layer);
+    }
+
+    /**
+     * Draw the visible layers
+     * @param {Function} project - Maps a board point (x, y) to the screen
+     *   (see LandscapeRenderer.project); defaults to the flat board
+     */
+    draw(ctx, project = null) {
+        if (this.layers.size === 0) return;
+        const toScreen = project || ((x, y) => ({ x, y }));
+
+        this._refresh();
+        ctx.save();
+        if (this.isVisible('contours')) this._drawContours(ctx, toScreen);
+        if (this.isVisible('streamlines')) this._drawStreamlines(ctx, toScreen);
+        if (this.isVisible('flow')) this._drawFlow(ctx, toScreen);
+        ctx.restore();
+    }
+
+    /**
+     * Retrace contours and streamlines if the landscape has changed
+     */
+    _refresh() {
+        if (this.grid.revision === this.cacheRevision) return;
+
+        this.cacheRevision = this.grid.revision;
+        this.contours = this._traceContours();
+        this.streamlines = this._traceStreamlines();
+    }
+
+    /**
+     * Slope at a point in levels per hex spacing, pointing downhill
+     */
+    _downhill(x, y) {
+        const gradient = this.grid.sampleGradient(x, y);
+        return { x: -gradient.x * this.grid.xSpacing, y: -gradient.y * this.grid.xSpacing };
+    }
+
+    /**
+     * The hex under a board point, or null off the grid
+     */
+    _cellAt(x, y) {
+        const cell = this.grid.getHexAtPixel(x, y);
+        if (!cell) return null;
+        const center = this.grid.hexToPixel(cell.col, cell.row);
+        return Math.hypot(x - center.x, y - center.y) <= this.grid.sideLength ? cell : null;
+    }
+
+    _drawFlow(ctx, toScreen) {
+        const maxLength = this.grid.hexRadius * 0.7; // Stays inside the hex
+        ctx.strokeStyle = 'rgba(26, 26, 46, 0.55)';
+        ctx.fillStyle = 'rgba(26, 26, 46, 0.55)';
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+
+        for (const cell of this.grid.getAllCells()) {
+            if (!LandscapeOverlays._isKnown(cell) || cell.isRuin) continue;
+
+            const center = this.grid.hexToPixel(cell.col, cell.row);
+            const slope = this._downhill(center.x, center.y);
+            const steepness = Math.hypot(slope.x, slope.y);
+            if (steepness < LandscapeOverlays.MIN_SLOPE) continue;
+
+            const length = Math.min(1, steepness / LandscapeOverlays.FULL_SLOPE) * maxLength;
+            const ux = slope.x / steepness;
+            const uy = slope.y / steepness;
+            const tail = toScreen(center.x - ux * length / 2, center.y - uy * length / 2);
+            const tip = toScreen(center.x + ux * length / 2, center.y + uy * length / 2);
+            LandscapeOverlays.arrow(ctx, tail, tip);
+        }
+    }
+
+    _drawContours(ctx, toScreen) {
+        ctx.lineWidth = 1.5;
+        for (const { level, segments } of this.contours) {
+            // Light lines over dark valleys, dark lines over pale high ground
+            ctx.strokeStyle = level < -1 ? 'rgba(255, 255, 255, 0.6)' : 'rgba(26, 26, 46, 0.35)';
+            ctx.beginPath();
+            for (const { a, b, cell } of segments) {
+                if (!LandscapeOverlays._isKnown(cell)) continue;
+                const p = toScreen(a.x, a.y);
+                const q = toScreen(b.x, b.y);
+                ctx.moveTo(p.x, p.y);
+                ctx.lineTo(q.x, q.y);
+            }
+            ctx.stroke();
+        }
+    }
+
+    _drawStreamlines(ctx, toScreen) {
+        ctx.strokeStyle = 'rgba(74, 144, 217, 0.7)';
+        ctx.fillStyle = 'rgba(74, 144, 217, 0.7)';
+        ctx.lineWidth = 1.5;
+        ctx.lineJoin = 'round';
+
+        for (const line of this.streamlines) {
+            if (!LandscapeOverlays._isKnown(line[0].cell)) continue;
+
+            // Stop where the path runs into fog or scouted ground
+            const end = line.findIndex(p => !LandscapeOverlays._isKnown(p.cell));
+            const points = (end === -1 ? line : line.slice(0, end)).map(p => toScreen(p.x, p.y));
+            if (points.length < 2) continue;
+
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            for (let i = 1; i < points.length; i++) {
+                ctx.lineTo(points[i].x, points[i].y);
+            }
+            ctx.stroke();
+            LandscapeOverlays.arrow(ctx, points[points.length - 2], points[points.length - 1], 5);
+        }
+    }
+
+    /**
+     * Marching squares over the elevation field, one set of segments per level
+     */
+    _traceContours() {
+        const step = this.grid.sideLength * LandscapeOverlays.CONTOUR_SPACING;
+        const dims = this.grid.getCanvasDimensions();
+        const cols = Math.ceil(dims.width / step) + 1;
+        const rows = Math.ceil(dims.height / step) + 1;
+
+        const values = [];
+        for (let j = 0; j < rows; j++) {
+            const row = [];
+            for (let i = 0; i < cols; i++) {
+                row.push(this.grid.sampleElevation(i * step, j * step));
+            }
+            values.push(row);
+        }
+
+        return LandscapeOverlays.CONTOUR_LEVELS.map(level => {
+            const segments = [];
+            for (let j = 0; j < rows - 1; j++) {
+                for (let i = 0; i < cols - 1; i++) {
+                    // Corners clockwise from top left, and the edges between them
+                    const corners = [
+                        { x: i * step, y: j * step, v: values[j][i] },
+                        { x: (i + 1) * step, y: j * step, v: values[j][i + 1] },
+                        { x: (i + 1) * step, y: (j + 1) * step, v: values[j + 1][i + 1] },
+                        { x: i * step, y: (j + 1) * step, v: values[j + 1][i] }
+                    ];
+                    const crossings = [];
+                    for (let k = 0; k < 4; k++) {
+                        const a = corners[k];
+                        const b = corners[(k + 1) % 4];
+                        if ((a.v < level) !== (b.v < level)) {
+                            const t = (level - a.v) / (b.v - a.v);
+                            crossings.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+                        }
+                    }
+
+                    // Two crossings make one segment; four (a saddle) make two
+                    for (let k = 0; k + 1 < crossings.length; k += 2) {
+                        const a = crossings[k];
+                        const b = crossings[k + 1];
+                        const cell = this._cellAt((a.x + b.x) / 2, (a.y + b.y) / 2);
+                        if (cell) segments.push({ a, b, cell });
+                    }
+                }
+            }
+            return { level, segments };
+        });
+    }
+
+    /**
+     * Follow the downhill direction from each hex centre until the ground
+     * flattens out, the path reaches ruin, or it leaves the grid
+     */
+    _traceStreamlines() {
+        const step = this.grid.sideLength * LandscapeOverlays.STREAM_STEP;
+        const lines = [];
+
+        for (const cell of this.grid.getAllCells()) {
+            if (cell.isRuin) continue;
+
+            let point = { ...this.grid.hexToPixel(cell.col, cell.row), cell };
+            const line = [point];
+            for (let i = 0; i < LandscapeOverlays.STREAM_MAX_STEPS; i++) {
+                const slope = this._downhill(point.x, point.y);
+                const steepness = Math.hypot(slope.x, slope.y);
+                if (steepness < LandscapeOverlays.MIN_SLOPE) break;
+
+                const x = point.x + slope.x / steepness * step;
+                const y = point.y + slope.y / steepness * step;
+                const here = this._cellAt(x, y);
+                if (!here) break;
+                point = { x, y, cell: here };
+                line.push(point);
+                if (here.isRuin) break;
+            }
+
+            // Skip hexes that are already at the bottom
+            if (line.length > 2) lines.push(line);
+        }
+        return lines;
+    }
+
+    /**
+     * Whether the player sees a hex's true elevation
+     */
+    static _isKnown(cell) {
+        return cell.isRevealed && !cell.estimate && !cell.isStale;
+    }
+
+    /**
+     * Line from tail to tip with a small head, in the current stroke and
+     * fill (also used by BeliefMap)
+     */
+    static arrow(ctx, tail, tip, headSize = 6) {
+        const angle = Math.atan2(tip.y - tail.y, tip.x - tail.x);
+        ctx.beginPath();
+        ctx.moveTo(tail.x, tail.y);
+        ctx.lineTo(tip.x, tip.y);
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.moveTo(tip.x, tip.y);
+        ctx.lineTo(tip.x - headSize * Math.cos(angle - Math.PI / 6), tip.y - headSize * Math.sin(angle - Math.PI / 6));
+        ctx.lineTo(tip.x - headSize * Math.cos(angle + Math.PI / 6), tip.y - headSize * Math.sin(angle + Math.PI / 6));
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Wire overlay checkboxes to one or more overlays
+     * @param {HTMLElement} element - Holds checkboxes with data-layer="flow" etc.
+     * @param {LandscapeOverlays[]} overlays - Overlays to keep in step
+     */
+    static bindToggles(element, overlays) {
+        if (!element) return;
+
+        element.querySelectorAll('input[data-layer]').forEach(input => {
+            const apply = () => overlays.forEach(o => o.toggle(input.dataset.layer, input.checked));
+            // Assigned rather than added, so re-initialising an act doesn't stack handlers
+            input.onchange = apply;
+            apply();
+        });
+    }
+}
+
+// Export for use in other modules
+window.LandscapeOverlays = LandscapeOverlays;
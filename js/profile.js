@@ -0,0 +1,277 @@
+/**
+ * ProfileView - Side view of the landscape along a line of hexes
+ *
+ * The hex board is seen from above, where depth is only a shade of green.
+ * A cross-section turns it back into the textbook picture: a ball sitting
+ * in a cup, a rim to climb, and the drop into ruin beyond.
+ *
+ * The line runs right across the grid. By default it passes through the
+ * ball and the nearest ruin and follows the ball as it moves; setLine()
+ * fixes it through any two hexes instead. Hexes still hidden by fog are
+ * drawn as fog, and scouted hexes at their estimated height: the profile
+ * never shows more than the board does.
+ */
+
+class ProfileView {
+    static HEIGHT = 120;       // Canvas height in px
+    static MARGIN = 12;        // px around the plot
+    static BALL_RADIUS = 7;
+    static FOG_COLOR = '#D9DDE3';
+
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     * @param {HexGrid} grid - The landscape to cut through
+     * @param {Object} options
+     * @param {Ball} options.ball - Ball to draw on the profile
+     * @param {number} options.width - Canvas width in px
+     */
+    constructor(canvas, grid, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.grid = grid;
+        this.ball = options.ball || null;
+
+        this.fixedLine = null; // { from, to } set by setLine(); null follows the ball
+        this.cells = [];       // Hexes along the current line, in order
+
+        this.canvas.width = options.width || 400;
+        this.canvas.height = ProfileView.HEIGHT;
+    }
+
+    /**
+     * Fix the profile to the line through two hexes
+     * @param {Object} from - { col, row }
+     * @param {Object} to - { col, row }
+     */
+    setLine(from, to) {
+        this.fixedLine = { from: { col: from.col, row: from.row }, to: { col: to.col, row: to.row } };
+    }
+
+    /**
+     * Go back to the line through the ball and the nearest ruin
+     */
+    followBall() {
+        this.fixedLine = null;
+    }
+
+    /**
+     * Hexes along the current line, from one edge of the grid to the other
+     * @returns {HexCell[]}
+     */
+    getCells() {
+        const line = this.fixedLine || this._ballLine();
+        if (!line) return [];
+        return this._extendLine(line.from, line.to);
+    }
+
+    /**
+     * Line from the ball's hex to the nearest ruin (or just across the
+     * grid through the ball if there is no ruin)
+     */
+    _ballLine() {
+        const from = this.ball ? this.ball.getCurrentHex() : null;
+        if (!from) return null;
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const cell of this.grid.getAllCells()) {
+            if (!cell.isRuin) continue;
+            const d = this.grid.distance(from.col, from.row, cell.col, cell.row);
+            if (d < nearestDistance) {
+                nearest = cell;
+                nearestDistance = d;
+            }
+        }
+
+        if (!nearest || nearest === from) {
+            const east = this.grid.getNeighbors(from.col, from.row)[0];
+            return east ? { from, to: east } : null;
+        }
+        return { from, to: nearest };
+    }
+
+    /**
+     * Stretch the line through two hexes until it leaves the grid at both ends
+     */
+    _extendLine(from, to) {
+        const a = HexGrid.offsetToCube(from.col, from.row);
+        const b = HexGrid.offsetToCube(to.col, to.row);
+        const steps = this.grid.distance(from.col, from.row, to.col, to.row);
+        if (steps === 0) return this.grid.getLine(from.col, from.row, to.col, to.row);
+
+        const pointAt = (k) => {
+            const cube = HexGrid.cubeRound({
+                q: a.q + (b.q - a.q) * k / steps,
+                r: a.r + (b.r - a.r) * k / steps,
+                s: a.s + (b.s - a.s) * k / steps
+            });
+            return this.grid.getHexAxial(cube.q, cube.r);
+        };
+
+        let first = 0;
+        while (pointAt(first - 1)) first--;
+        let last = steps;
+        while (pointAt(last + 1)) last++;
+
+        const start = pointAt(first);
+        const end = pointAt(last);
+        return this.grid.getLine(start.col, start.row, end.col, end.row);
+    }
+
+    /**
+     * Draw the cross-section and the ball on it
+     */
+    draw() {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const margin = ProfileView.MARGIN;
+
+        ctx.fillStyle = '#FAFAFA';
+        ctx.fillRect(0, 0, width, height);
+
+        this.cells = this.getCells();
+        if (this.cells.length === 0) return;
+
+        // Horizontal position: distance along the line, between hex centres
+        const centers = this.cells.map(cell => this.grid.hexToPixel(cell.col, cell.row));
+        const along = [0];
+        for (let i = 1; i < centers.length; i++) {
+            along.push(along[i - 1] + Math.hypot(centers[i].x - centers[i - 1].x, centers[i].y - centers[i - 1].y));
+        }
+        const total = along[along.length - 1] || 1;
+        const toX = (s) => margin + (s / total) * (width - 2 * margin);
+
+        // Vertical position: elevation, with room for anything raised past ±3
+        const elevations = this.cells.map(cell => this.grid.getDisplayedElevation(cell));
+        const minE = Math.min(RuinSystem.SINK_ELEVATION, ...elevations);
+        const maxE = Math.max(3, ...elevations);
+        const top = margin + ProfileView.BALL_RADIUS * 2;
+        const toY = (e) => top + ((maxE - e) / (maxE - minE)) * (height - margin - top);
+
+        const points = this.cells.map((cell, i) => ({ x: toX(along[i]), y: toY(elevations[i]) }));
+
+        // Ground: one coloured column per hex, reaching halfway to each neighbour
+        this.cells.forEach((cell, i) => {
+            const left = i > 0 ? ProfileView._midpoint(points[i - 1], points[i]) : points[i];
+            const right = i < points.length - 1 ? ProfileView._midpoint(points[i], points[i + 1]) : points[i];
+            const hidden = !cell.isRevealed;
+
+            ctx.beginPath();
+            ctx.moveTo(left.x, hidden ? top : left.y);
+            if (!hidden) ctx.lineTo(points[i].x, points[i].y);
+            ctx.lineTo(right.x, hidden ? top : right.y);
+            ctx.lineTo(right.x, height);
+            ctx.lineTo(left.x, height);
+            ctx.closePath();
+            ctx.fillStyle = hidden ? ProfileView.FOG_COLOR : this.grid.getElevationColor(cell);
+            ctx.fill();
+
+            if (hidden) {
+                ctx.fillStyle = '#8888A0';
+                ctx.font = '12px "Work Sans", sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText('?', points[i].x, (top + height) / 2);
+            }
+        });
+
+        // Surface line over revealed ground
+        ctx.strokeStyle = '#1A1A2E';
+        ctx.lineWidth = 2;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        let drawing = false;
+        this.cells.forEach((cell, i) => {
+            if (!cell.isRevealed) {
+                drawing = false;
+                return;
+            }
+            if (drawing) {
+                ctx.lineTo(points[i].x, points[i].y);
+            } else {
+                ctx.moveTo(points[i].x, points[i].y);
+                drawing = true;
+            }
+        });
+        ctx.stroke();
+
+        this._drawBall(centers, points);
+    }
+
+    /**
+     * Project the ball onto the line and sit it on the surface
+     */
+    _drawBall(centers, points) {
+        if (!this.ball || this.cells.length < 2) return;
+
+        // Closest point on the line of hex centres
+        let best = null;
+        for (let i = 0; i < centers.length - 1; i++) {
+            const a = centers[i], b = centers[i + 1];
+            const dx = b.x - a.x, dy = b.y - a.y;
+            const length2 = dx * dx + dy * dy || 1;
+            const t = Math.max(0, Math.min(1, ((this.ball.x - a.x) * dx + (this.ball.y - a.y) * dy) / length2));
+            const offset = Math.hypot(this.ball.x - (a.x + dx * t), this.ball.y - (a.y + dy * t));
+            if (!best || offset < best.offset) {
+                best = { i, t, offset };
+            }
+        }
+
+        const a = points[best.i], b = points[best.i + 1];
+        const x = a.x + (b.x - a.x) * best.t;
+        let y = a.y + (b.y - a.y) * best.t;
+
+        // Don't let the ball give away hidden ground
+        const cell = this.cells[best.t < 0.5 ? best.i : best.i + 1];
+        if (!cell.isRevealed) {
+            y = (this.canvas.height + ProfileView.MARGIN) / 2;
+        }
+
+        // Fade the ball when it has wandered off the line
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.globalAlpha = best.offset > this.grid.sideLength ? 0.35 : 1;
+        ctx.beginPath();
+        ctx.arc(x, y - ProfileView.BALL_RADIUS, ProfileView.BALL_RADIUS, 0, Math.PI * 2);
+        ctx.fillStyle = this.ball.isInRuin ? '#E84855' : this.ball.color;
+        ctx.fill();
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    static _midpoint(a, b) {
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+
+    /**
+     * Show where the profile cuts through the board
+     * @param {CanvasRenderingContext2D} ctx - The board's context
+     * @param {Function} project - Maps a board point (x, y) to the screen;
+     *   defaults to subtracting viewOffset (see LandscapeRenderer.project)
+     */
+    drawLineOnGrid(ctx, viewOffset = { x: 0, y: 0 }, project = null) {
+        const toScreen = project || ((px, py) => ({ x: px - viewOffset.x, y: py - viewOffset.y }));
+        this.cells = this.getCells();
+        if (this.cells.length < 2) return;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(26, 26, 46, 0.5)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        this.cells.forEach((cell, i) => {
+            const center = this.grid.hexToPixel(cell.col, cell.row);
+            const p = toScreen(center.x, center.y);
+            if (i === 0) ctx.moveTo(p.x, p.y);
+            else ctx.lineTo(p.x, p.y);
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+// Export for use in other modules
+window.ProfileView = ProfileView;
@@ -0,0 +1,162 @@
+/**
+ * SeededRandom - Reproducible pseudo-random numbers
+ *
+ * Math.random() can't be replayed, so anything that should come out the
+ * same twice (generated landscapes, shared workshop sessions) draws from a
+ * SeededRandom instead. Uses mulberry32: tiny, fast and good enough for
+ * gameplay.
+ *
+ * RandomService hands out one named stream per consumer, all derived from
+ * a single session seed. The page-wide service is window.rng; open the page
+ * with ?seed=<value> to replay a session's shocks exactly.
+ */
+
+class SeededRandom {
+    /**
+     * @param {number|string} seed - Same seed, same sequence
+     */
+    constructor(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Turn any number or string into a 32-bit unsigned seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(Math.abs(seed)) >>> 0;
+        }
+        return SeededRandom.hashString(String(seed));
+    }
+
+    /**
+     * FNV-1a hash of a string
+     */
+    static hashString(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * A fresh seed for when none was given
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Next number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Number in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Whole number in [min, max], both ends included
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Gaussian draw (Box-Muller)
+     */
+    normal(mean = 0, sd = 1) {
+        const u = 1 - this.next(); // (0, 1], so the log is finite
+        const v = this.next();
+        return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Random element of an array
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Shuffled copy of an array
+     */
+    shuffle(items) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+}
+
+class RandomService {
+    /**
+     * @param {number|string} seed - Session seed; random if omitted
+     */
+    constructor(seed) {
+        this.seed = seed ?? SeededRandom.randomSeed();
+        this.streams = new Map(); // name -> SeededRandom
+    }
+
+    /**
+     * Read a seed from a query string such as "?seed=42"
+     * @returns {number|string|null}
+     */
+    static seedFromQuery(search) {
+        const value = new URLSearchParams(search).get('seed');
+        if (value === null || value === '') return null;
+        // Numeric seeds stay numbers so a logged seed replays exactly
+        return /^\d+$/.test(value) ? Number(value) : value;
+    }
+
+    /**
+     * The stream for one consumer. Each stream only depends on the session
+     * seed and its name, so adding draws in one module never shifts another.
+     * @param {string} name - e.g. 'ball', 'act5:crisis', 'ensemble:12'
+     * @returns {SeededRandom}
+     */
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new SeededRandom(this.deriveSeed(name)));
+        }
+        return this.streams.get(name);
+    }
+
+    /**
+     * A seed for something that builds its own generator (e.g. landscapes)
+     */
+    deriveSeed(name) {
+        return SeededRandom.hashString(`${this.seed}:${name}`);
+    }
+
+    /**
+     * Start over from a new session seed. Existing streams are dropped.
+     */
+    reseed(seed) {
+        this.seed = seed ?? SeededRandom.randomSeed();
+        this.streams.clear();
+    }
+}
+
+// Export for use in other modules
+window.SeededRandom = SeededRandom;
+window.RandomService = RandomService;
+
+// Page-wide service, seeded from ?seed= when given
+window.rng = new RandomService(
+    typeof location !== 'undefined' ? RandomService.seedFromQuery(location.search) : null
+);
@@ -0,0 +1,281 @@
+/**
+ * LandscapeRenderer - Draws an act's board flat or as pseudo-3D terrain
+ *
+ * Flat is the original top-down view, where elevation is only a shade of
+ * green. In 3D each hex becomes a column as tall as its elevation, seen
+ * obliquely from the south: the board is squashed vertically and every
+ * level lifts a hex further up the screen, so valleys read as pits and
+ * ridges as walls.
+ *
+ * Columns are painted back to front, one row at a time, so nearer terrain
+ * covers what lies behind it. Only a column's two south-facing walls can
+ * be seen; they are shaded darker than its top. The projection keeps x,
+ * so columns in the same row never overlap and the canvas needs no
+ * resizing. Hexes hidden by fog are drawn at ground level, and scouted
+ * hexes at their estimated height: the 3D view never gives away a height
+ * the flat board doesn't show.
+ */
+
+class LandscapeRenderer {
+    static MODES = ['flat', '3d'];
+    static TILT = 0.7;                // Vertical squash of the board in 3D
+    static LEVEL_HEIGHT = 0.3;        // Screen height per elevation level, as a share of the hex side
+    static MIN_ELEVATION = -3;        // Base of every column
+    static MAX_ELEVATION = 3;
+    static WALL_SHADES = [0.75, 0.6]; // Brightness of the south-west and south-east walls
+    static FOG_COLOR = '#C4C4D6';     // Walls of hidden hexes
+
+    /**
+     * @param {HexGrid} grid - The landscape to draw
+     * @param {Object} options
+     * @param {string} options.mode - 'flat' or '3d'
+     * @param {FogSystem} options.fog - Fog to draw over the board, if any
+     */
+    constructor(grid, options = {}) {
+        this.grid = grid;
+        this.fog = options.fog || null;
+        this.fogRenderer = this.fog ? new FogRenderer(this.fog) : null;
+        if (this.fogRenderer) grid.paintsFog = false; // Its fog fades both ways; the grid's would pop on
+        this.isFlatLocked = false; // Set while the landscape editor is open
+        this.setMode(options.mode || 'flat');
+
+        // Painting order, back row first. A grid keeps its cells for life.
+        this.drawOrder = grid.getAllCells().sort((a, b) => a.row - b.row);
+
+        // Levels may not lift the board off the canvas
+        const { MIN_ELEVATION, MAX_ELEVATION, TILT } = LandscapeRenderer;
+        const dims = grid.getCanvasDimensions();
+        this.levelHeight = Math.min(
+            grid.sideLength * LandscapeRenderer.LEVEL_HEIGHT,
+            dims.height * (1 - TILT) / (MAX_ELEVATION - MIN_ELEVATION)
+        );
+    }
+
+    /**
+     * @param {string} mode - One of MODES
+     */
+    setMode(mode) {
+        if (!LandscapeRenderer.MODES.includes(mode)) {
+            throw new Error(`Unknown view mode "${mode}"`);
+        }
+        this.mode = mode;
+    }
+
+    /**
+     * Keep to the flat view whatever the mode, e.g. while editing
+     */
+    lockFlat(locked) {
+        this.isFlatLocked = locked;
+    }
+
+    is3D() {
+        return this.mode === '3d' && !this.isFlatLocked;
+    }
+
+    /**
+     * Draw every hex
+     */
+    drawGrid(ctx, viewOffset = { x: 0, y: 0 }) {
+        if (this.fogRenderer) this.fogRenderer.update();
+
+        if (!this.is3D()) {
+            this.grid.draw(ctx, viewOffset);
+            return;
+        }
+
+        for (const cell of this.drawOrder) {
+            this._drawColumn(ctx, cell, viewOffset);
+        }
+    }
+
+    /**
+     * Draw the fog overlay. In 3D each column carries its own fog, so
+     * there is nothing left to do.
+     */
+    drawFog(ctx) {
+        if (this.fogRenderer && !this.is3D()) {
+            this.fogRenderer.draw(ctx);
+        }
+    }
+
+    /**
+     * Draw a ball on the board. In 3D it sits on top of its hex, and
+     * nearer, taller columns are drawn again so they hide it.
+     * @param {Object} options - { showTrail, viewOffset, alpha } as for Ball.draw
+     */
+    drawBall(ctx, ball, options = {}) {
+        const { showTrail = true, viewOffset = { x: 0, y: 0 }, alpha = 1 } = options;
+        if (!this.is3D()) {
+            ball.draw(ctx, showTrail, viewOffset, alpha);
+            return;
+        }
+
+        ball.draw(ctx, showTrail, viewOffset, alpha, (x, y) => this.project(x, y, viewOffset));
+
+        const hex = ball.getCurrentHex();
+        if (!hex) return;
+        const elevation = this._elevation(hex);
+        for (const cell of this.drawOrder) {
+            if (cell.row > hex.row && this._elevation(cell) > elevation) {
+                this._drawColumn(ctx, cell, viewOffset);
+            }
+        }
+    }
+
+    /**
+     * Draw a BallEnsemble's dots on the board
+     */
+    drawEnsemble(ctx, ensemble, viewOffset = { x: 0, y: 0 }) {
+        ensemble.draw(ctx, viewOffset, this.is3D() ? (x, y) => this.project(x, y, viewOffset) : null);
+    }
+
+    /**
+     * Screen position of a point on the board, at the height of its hex
+     * @param {number} x - Board px
+     * @param {number} y - Board px
+     */
+    project(x, y, viewOffset = { x: 0, y: 0 }) {
+        if (!this.is3D()) {
+            return { x: x - viewOffset.x, y: y - viewOffset.y };
+        }
+        const cell = this.grid.getHexAtPixel(x, y);
+        return this._project(x, y, cell ? this._elevation(cell) : 0, viewOffset);
+    }
+
+    /**
+     * The hex drawn at a screen position (the nearest one, in 3D)
+     * @param {number} x - Canvas px
+     * @param {number} y - Canvas px
+     * @returns {HexCell|null}
+     */
+    hexAt(x, y, viewOffset = { x: 0, y: 0 }) {
+        if (!this.is3D()) {
+            return this.grid.getHexAtPixel(x + viewOffset.x, y + viewOffset.y);
+        }
+
+        const cells = this.drawOrder;
+        for (let i = cells.length - 1; i >= 0; i--) {
+            if (LandscapeRenderer._contains(this._outline(cells[i], viewOffset), x, y)) {
+                return cells[i];
+            }
+        }
+        return null;
+    }
+
+    _project(x, y, elevation, viewOffset) {
+        return {
+            x: x - viewOffset.x,
+            y: (y - viewOffset.y) * LandscapeRenderer.TILT
+                + (LandscapeRenderer.MAX_ELEVATION - elevation) * this.levelHeight
+        };
+    }
+
+    /**
+     * Height a hex is drawn at: hidden hexes stay at ground level
+     */
+    _elevation(cell) {
+        if (!cell.isRevealed) return 0;
+        const elevation = this.grid.getDisplayedElevation(cell);
+        return Math.max(LandscapeRenderer.MIN_ELEVATION, Math.min(LandscapeRenderer.MAX_ELEVATION, elevation));
+    }
+
+    /**
+     * Corners of a column's top face, and how far its walls drop
+     */
+    _column(cell, viewOffset) {
+        const elevation = this._elevation(cell);
+        const top = this.grid.getHexVertices(cell).map(v => this._project(v.x, v.y, elevation, viewOffset));
+        const drop = (elevation - LandscapeRenderer.MIN_ELEVATION) * this.levelHeight;
+        return { top, drop };
+    }
+
+    /**
+     * Screen outline of a column: its top face and visible walls
+     */
+    _outline(cell, viewOffset) {
+        const { top, drop } = this._column(cell, viewOffset);
+        const down = (v) => ({ x: v.x, y: v.y + drop });
+        return [top[0], top[1], top[2], down(top[2]), down(top[3]), down(top[4]), top[4], top[5]];
+    }
+
+    _drawColumn(ctx, cell, viewOffset) {
+        const { top, drop } = this._column(cell, viewOffset);
+        const color = cell.isRevealed ? this.grid.getElevationColor(cell) : LandscapeRenderer.FOG_COLOR;
+
+        // South-west (Bottom Left to Bottom Center) and south-east (Bottom Center to Bottom Right) walls
+        if (drop > 0) {
+            [[4, 3], [3, 2]].forEach(([a, b], i) => {
+                ctx.beginPath();
+                ctx.moveTo(top[a].x, top[a].y);
+                ctx.lineTo(top[b].x, top[b].y);
+                ctx.lineTo(top[b].x, top[b].y + drop);
+                ctx.lineTo(top[a].x, top[a].y + drop);
+                ctx.closePath();
+                ctx.fillStyle = LandscapeRenderer._shade(color, LandscapeRenderer.WALL_SHADES[i]);
+                ctx.fill();
+                ctx.strokeStyle = 'rgba(50,50,50,0.15)';
+                ctx.lineWidth = 1;
+                ctx.stroke();
+            });
+        }
+
+        this.grid.paintHexFace(ctx, cell, top);
+
+        // Fog over the column, top and walls
+        const visibility = this.fogRenderer ? this.fogRenderer.getVisibility(cell) : 1;
+        if (visibility < 1) {
+            this.fogRenderer.paint(ctx, this._outline(cell, viewOffset), visibility);
+        }
+    }
+
+    /**
+     * Darken a '#rrggbb' colour
+     */
+    static _shade(hex, factor) {
+        const value = parseInt(hex.slice(1), 16);
+        const r = Math.round(((value >> 16) & 255) * factor);
+        const g = Math.round(((value >> 8) & 255) * factor);
+        const b = Math.round((value & 255) * factor);
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
+    /**
+     * Point-in-polygon test (ray casting)
+     */
+    static _contains(polygon, x, y) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i], b = polygon[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Wire a Flat/3D button group to a renderer's mode
+     * @param {HTMLElement} element - Holds buttons with data-mode="flat" / "3d"
+     * @param {string} mode - Mode to show as selected
+     * @param {Function} onChange - Called with the chosen mode
+     */
+    static bindToggle(element, mode, onChange) {
+        if (!element) return;
+
+        const buttons = element.querySelectorAll('[data-mode]');
+        const select = (selected) => {
+            buttons.forEach(button => button.classList.toggle('active', button.dataset.mode === selected));
+        };
+        buttons.forEach(button => {
+            // Assigned rather than added, so re-initialising an act doesn't stack handlers
+            button.onclick = () => {
+                select(button.dataset.mode);
+                onChange(button.dataset.mode);
+            };
+        });
+        select(mode);
+    }
+}
+
+// Export for use in other modules
+window.LandscapeRenderer = LandscapeRenderer;
@@ -0,0 +1,178 @@
+/**
+ * RuinSystem - Collapse states on the hex landscape
+ *
+ * Ruin comes in two kinds:
+ * - absorbing: irreversible collapse. A ball that enters stops for good.
+ * - recoverable: a deep, draining trap. The ball keeps moving but is
+ *   dragged down, and every moment inside adds to its cost.
+ *
+ * Ruin sits at the bottom of the landscape, so neighbouring ground slopes
+ * into it. Spreading ruin creeps into neighbouring hexes as erosion wears
+ * them down, turning a stable edge into a growing cliff.
+ */
+
+class RuinSystem {
+    static TYPES = ['absorbing', 'recoverable'];
+    static SINK_ELEVATION = -3;     // Ruin is the lowest ground there is
+    static SPREAD_THRESHOLD = 1.5;  // Erosion a neighbour absorbs before it turns to ruin
+    static RECOVERABLE_DRAG = 0.95; // Extra velocity kept per frame inside recoverable ruin
+
+    /**
+     * @param {HexGrid} grid - The hex grid ruin lives on
+     */
+    constructor(grid) {
+        this.grid = grid;
+
+        // Callbacks
+        this.onBallEnter = null; // (ball, cell)
+        this.onBallLeave = null; // (ball, cell)
+        this.onSpread = null;    // (cell, sourceCell)
+    }
+
+    /**
+     * Turn a hex into ruin
+     * @param {Object} options
+     * @param {string} options.type - 'absorbing' (default) or 'recoverable'
+     * @param {boolean} options.spreads - Whether erosion lets it creep into neighbours
+     * @returns {HexCell|null} The ruined hex
+     */
+    place(col, row, options = {}) {
+        const cell = this.grid.getHex(col, row);
+        if (!cell) return null;
+
+        const type = options.type || 'absorbing';
+        if (!RuinSystem.TYPES.includes(type)) {
+            throw new Error(`Unknown ruin type "${type}"`);
+        }
+
+        if (!cell.isRuin) {
+            cell.elevationBeforeRuin = cell.elevation;
+            cell.elevation = RuinSystem.SINK_ELEVATION;
+        }
+        cell.isRuin = true;
+        cell.ruinType = type;
+        cell.ruinSpreads = !!options.spreads;
+        cell.ruinExposure = 0;
+        this.grid.markChanged();
+        return cell;
+    }
+
+    /**
+     * Restore a ruined hex to the ground it was before
+     */
+    clear(col, row) {
+        const cell = this.grid.getHex(col, row);
+        if (!cell || !cell.isRuin) return;
+
+        cell.elevation = cell.elevationBeforeRuin ?? 0;
+        this._clearFields(cell);
+        this.grid.markChanged();
+    }
+
+    /**
+     * Ruin a set of hexes
+     * @param {Array|Object} region - Cells/coords, or { col, row, radius }
+     */
+    placeRegion(region, options = {}) {
+        return this._collectRegion(region)
+            .map(cell => this.place(cell.col, cell.row, options))
+            .filter(Boolean);
+    }
+
+    /**
+     * Restore a set of hexes
+     * @param {Array|Object} region - Cells/coords, or { col, row, radius }
+     */
+    clearRegion(region) {
+        for (const cell of this._collectRegion(region)) {
+            this.clear(cell.col, cell.row);
+        }
+    }
+
+    /**
+     * Get all ruined hexes, optionally of one type
+     */
+    getRuinCells(type = null) {
+        return this.grid.getAllCells().filter(cell =>
+            cell.isRuin && (type === null || cell.ruinType === type)
+        );
+    }
+
+    /**
+     * Let spreading ruin creep outward after an erosion step
+     * @param {number} amount - Strength of the erosion step
+     * @returns {HexCell[]} Hexes that turned to ruin
+     */
+    spread(amount) {
+        const exposed = new Map(); // cell -> spreading ruin it borders
+        for (const ruin of this.getRuinCells()) {
+            if (!ruin.ruinSpreads) continue;
+            for (const n of this.grid.getNeighbors(ruin.col, ruin.row)) {
+                if (!n.isRuin && !exposed.has(n)) exposed.set(n, ruin);
+            }
+        }
+
+        const spreadTo = [];
+        for (const [cell, source] of exposed) {
+            cell.ruinExposure += amount * (1 - cell.erosionResistance);
+            if (cell.ruinExposure >= RuinSystem.SPREAD_THRESHOLD) {
+                this.place(cell.col, cell.row, { type: source.ruinType, spreads: true });
+                spreadTo.push(cell);
+                if (this.onSpread) this.onSpread(cell, source);
+            }
+        }
+        return spreadTo;
+    }
+
+    /**
+     * Track a ball against ruin each frame, firing enter/leave events.
+     * Absorbing ruin marks the ball as ruined for good.
+     * @param {Ball} ball
+     * @param {HexCell|null} cell - The hex the ball is currently over
+     */
+    trackBall(ball, cell) {
+        const ruinCell = cell && cell.isRuin ? cell : null;
+        const previous = ball.ruinCell;
+        ball.ruinCell = ruinCell;
+
+        if (ruinCell && ruinCell.ruinType === 'absorbing') {
+            ball.isInRuin = true;
+        }
+
+        if (ruinCell && !previous) {
+            if (this.onBallEnter) this.onBallEnter(ball, ruinCell);
+        } else if (!ruinCell && previous) {
+            if (this.onBallLeave) this.onBallLeave(ball, previous);
+        }
+    }
+
+    /**
+     * Remove all ruin state without touching elevations
+     */
+    reset() {
+        for (const cell of this.grid.getAllCells()) {
+            this._clearFields(cell);
+        }
+    }
+
+    _clearFields(cell) {
+        cell.isRuin = false;
+        cell.ruinType = null;
+        cell.ruinSpreads = false;
+        cell.ruinExposure = 0;
+        cell.elevationBeforeRuin = null;
+    }
+
+    _collectRegion(region) {
+        if (Array.isArray(region)) {
+            return region
+                .map(pos => this.grid.getHex(pos.col, pos.row))
+                .filter(Boolean);
+        }
+
+        return this.grid.getRange(region.col, region.row, region.radius || 0);
+    }
+}
+
+// Export for use in other modules
+window.RuinSystem = RuinSystem;
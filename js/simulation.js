@@ -0,0 +1,170 @@
+/**
+ * Simulation - HexGrid + Ball + FogSystem with an explicit clock
+ *
+ * The acts drive the ball from requestAnimationFrame and draw every frame.
+ * A Simulation does neither: it steps the physics a fixed number of ticks
+ * on demand and exposes the state as plain data. Nothing here touches the
+ * DOM or a canvas, so it runs in Node (see headless.js) as well as in the
+ * browser, for batch runs, act balancing and physics regression checks.
+ */
+
+class Simulation {
+    static DEFAULT_DT = 16.67; // One 60fps frame, in ms
+
+    /**
+     * @param {Object} options
+     * @param {number} options.cols - Grid size (ignored when loading a landscape)
+     * @param {number} options.rows
+     * @param {number} options.sideLength - Hex side in pixels (default 35)
+     * @param {Object|string} options.landscape - Landscape JSON to load (see HexGrid.toJSON)
+     * @param {Object} options.generate - Options for HexGrid.generate instead
+     * @param {Object} options.start - { col, row } ball start; defaults to the
+     *   landscape's start, then the grid centre
+     * @param {number} options.noiseLevel - 0 to 1
+     * @param {string} options.noiseType - Kind of noise (see NoiseProcess)
+     * @param {number|string} options.seed - Seed for all randomness; random if omitted
+     * @param {boolean} options.fog - Create a FogSystem, hiding what the landscape hides
+     * @param {number} options.dt - Milliseconds per tick
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.dt = options.dt || Simulation.DEFAULT_DT;
+        this.clock = new SimulationClock({ step: this.dt }); // every()/after() run on ticks
+        this.random = new RandomService(options.seed);
+
+        this.landscape = options.landscape ? HexGrid.validateJSON(options.landscape) : null;
+        if (this.landscape) {
+            this.grid = HexGrid.fromJSON(this.landscape);
+        } else {
+            this.grid = new HexGrid(options.cols || 7, options.rows || 5, options.sideLength || 35);
+        }
+
+        this.layout = options.generate
+            ? this.grid.generate({ seed: this.random.deriveSeed('landscape'), ...options.generate })
+            : null;
+        this.fog = options.fog ? this._createFog() : null;
+        if (this.fog) this.fog.random = this.random.stream('fog');
+
+        this.start = this._resolveStart(options);
+        this.ball = new Ball(this.grid, this.start.col, this.start.row);
+        this.ball.noiseLevel = options.noiseLevel || 0;
+        this.ball.setNoiseType(options.noiseType || 'kicks');
+        this.ball.random = this.random.stream('ball');
+
+        this.tick = 0;
+        this.time = 0;
+
+        // Callbacks
+        this.onTick = null; // (simulation) after every tick
+    }
+
+    /**
+     * Advance the physics
+     * @param {number} ticks - Number of fixed steps
+     * @returns {Simulation} this, for chaining
+     */
+    step(ticks = 1) {
+        for (let i = 0; i < ticks; i++) {
+            this.clock.advance((dt) => this.ball.update(dt));
+            this.tick++;
+            this.time = this.clock.time;
+            if (this.onTick) this.onTick(this);
+        }
+        return this;
+    }
+
+    /**
+     * Step until a condition holds or the tick budget runs out
+     * @param {Function} condition - (simulation) => boolean
+     * @param {number} maxTicks
+     * @returns {boolean} Whether the condition was met
+     */
+    runUntil(condition, maxTicks = 10000) {
+        for (let i = 0; i < maxTicks; i++) {
+            if (condition(this)) return true;
+            this.step();
+        }
+        return condition(this);
+    }
+
+    /**
+     * Erode the landscape once. See HexGrid.applyErosion.
+     */
+    erode(amount, options = {}) {
+        return this.grid.applyErosion(amount, options);
+    }
+
+    /**
+     * Push the ball
+     */
+    impulse(fx, fy) {
+        this.ball.applyImpulse(fx, fy);
+    }
+
+    /**
+     * Snapshot of the simulation as plain data
+     */
+    getState() {
+        const hex = this.ball.getCurrentHex();
+        return {
+            seed: this.random.seed,
+            tick: this.tick,
+            time: this.time,
+            ball: {
+                x: this.ball.x,
+                y: this.ball.y,
+                vx: this.ball.vx,
+                vy: this.ball.vy,
+                col: hex ? hex.col : null,
+                row: hex ? hex.row : null,
+                elevation: hex ? hex.elevation : null,
+                isInRuin: this.ball.isInRuin,
+                inRecoverableRuin: !!this.ball.ruinCell && !this.ball.isInRuin,
+                ruinTime: this.ball.ruinTime
+            },
+            metrics: this.ball.getWobbleMetrics(),
+            erosion: this.grid.erosion.getTotalErosion(),
+            revealed: this.fog ? this.fog.getRevealedPercentage() : 100
+        };
+    }
+
+    /**
+     * Put the ball back at the start, the clock back to zero (dropping
+     * its timers) and the random streams back to the start of the seed.
+     * The landscape is left as it is.
+     */
+    reset() {
+        this.random.reseed(this.random.seed);
+        this.ball.reset(this.start.col, this.start.row);
+        this.ball.noiseLevel = this.options.noiseLevel || 0;
+        this.ball.random = this.random.stream('ball');
+        if (this.fog) this.fog.random = this.random.stream('fog');
+        this.clock.reset();
+        this.tick = 0;
+        this.time = 0;
+    }
+
+    _createFog() {
+        // FogSystem starts fully revealed, so remember what the landscape hid
+        const hidden = this.grid.getAllCells().filter(cell => !cell.isRevealed);
+        const fog = new FogSystem(this.grid);
+        for (const cell of hidden) {
+            fog.setVisibility(cell.col, cell.row, 0);
+        }
+        return fog;
+    }
+
+    _resolveStart(options) {
+        const candidates = [
+            options.start,
+            this.layout && this.layout.start,
+            this.landscape && this.landscape.start,
+            { col: Math.floor(this.grid.cols / 2), row: Math.floor(this.grid.rows / 2) }
+        ];
+        const start = candidates.find(c => c && this.grid.getHex(c.col, c.row));
+        return { col: start.col, row: start.row };
+    }
+}
+
+// Export for use in other modules
+window.Simulation = Simulation;
@@ -0,0 +1,146 @@
+/**
+ * TippingAnalysis - How close is the ball to tipping?
+ *
+ * Leaving a basin means climbing over its rim somewhere. The easiest way
+ * out is the path whose highest hex is lowest: that highest hex is the
+ * saddle, and the climb from the basin floor up to it is the barrier
+ * height. Erosion lowers barriers; when one reaches zero the basin is
+ * gone and the ball tips into the neighbouring basin or ruin.
+ *
+ * Paths are found with a minimax (bottleneck) search over hex neighbours,
+ * starting from the basin floor, on top of BasinAnalysis.
+ */
+
+class TippingAnalysis {
+    /**
+     * @param {HexGrid} grid - The landscape to analyse
+     * @param {BasinAnalysis} basins - Reuse an existing analysis (optional)
+     */
+    constructor(grid, basins = null) {
+        this.grid = grid;
+        this.basins = basins || grid.analyzeBasins();
+    }
+
+    /**
+     * Find the saddles between a hex's basin and every basin or ruin it borders
+     * @param {Object} options
+     * @param {boolean} options.ruinOnly - Only count escapes into ruin
+     * @returns {Object} {
+     *   basin, saddles: [{ basin, cell, elevation, barrierHeight, path }] easiest first,
+     *   saddle, barrierHeight, path, target   // the easiest escape, or null/Infinity if none
+     * }
+     */
+    analyze(col, row, options = {}) {
+        const start = this.grid.getHex(col, row);
+        const basin = start ? this.basins.basinOf.get(start) : null;
+        const result = {
+            basin,
+            saddles: [],
+            saddle: null,
+            barrierHeight: Infinity,
+            path: [],
+            target: null
+        };
+        if (!basin) return result;
+
+        const { pass, prev } = this._bottleneckSearch(basin);
+
+        // Entry hexes are the first hexes reached outside the basin.
+        // Keep the lowest pass into each neighbouring basin.
+        const best = new Map(); // basin -> entry cell
+        for (const [cell, elevation] of pass) {
+            const other = this.basins.basinOf.get(cell);
+            if (other === basin) continue;
+            if (options.ruinOnly && !other.isRuin) continue;
+
+            const current = best.get(other);
+            if (!current || elevation < pass.get(current)) {
+                best.set(other, cell);
+            }
+        }
+
+        for (const [other, entry] of best) {
+            const path = this._tracePath(entry, prev);
+            const saddle = path.reduce((high, cell) => cell.elevation > high.elevation ? cell : high);
+            result.saddles.push({
+                basin: other,
+                cell: saddle,
+                elevation: pass.get(entry),
+                barrierHeight: Math.max(0, pass.get(entry) - basin.minElevation),
+                path
+            });
+        }
+        result.saddles.sort((a, b) => a.elevation - b.elevation || a.path.length - b.path.length);
+
+        if (result.saddles.length) {
+            const easiest = result.saddles[0];
+            result.saddle = easiest.cell;
+            result.barrierHeight = easiest.barrierHeight;
+            result.path = easiest.path;
+            result.target = easiest.basin;
+        }
+
+        return result;
+    }
+
+    /**
+     * Minimax search out from the basin floor. Each reached hex records the
+     * lowest possible "highest elevation on the way" to it. The search
+     * stops at the first hex of any other basin.
+     */
+    _bottleneckSearch(basin) {
+        const pass = new Map();
+        const steps = new Map();
+        const prev = new Map();
+        const done = new Set();
+        const open = [...basin.floor];
+        for (const cell of basin.floor) {
+            pass.set(cell, cell.elevation);
+            steps.set(cell, 0);
+            prev.set(cell, null);
+        }
+
+        while (open.length) {
+            // Lowest pass first, then fewest steps
+            let bestIndex = 0;
+            for (let i = 1; i < open.length; i++) {
+                const a = open[i], b = open[bestIndex];
+                if (pass.get(a) < pass.get(b) ||
+                    (pass.get(a) === pass.get(b) && steps.get(a) < steps.get(b))) {
+                    bestIndex = i;
+                }
+            }
+            const cell = open.splice(bestIndex, 1)[0];
+            if (done.has(cell)) continue;
+            done.add(cell);
+
+            // Don't search on through other basins
+            if (this.basins.basinOf.get(cell) !== basin) continue;
+
+            for (const n of this.grid.getNeighbors(cell.col, cell.row)) {
+                if (done.has(n)) continue;
+                const p = Math.max(pass.get(cell), n.elevation);
+                const s = steps.get(cell) + 1;
+                if (!pass.has(n) || p < pass.get(n) || (p === pass.get(n) && s < steps.get(n))) {
+                    pass.set(n, p);
+                    steps.set(n, s);
+                    prev.set(n, cell);
+                    open.push(n);
+                }
+            }
+        }
+
+        return { pass, prev };
+    }
+
+    _tracePath(end, prev) {
+        const path = [];
+        for (let cell = end; cell; cell = prev.get(cell)) {
+            path.unshift(cell);
+        }
+        return path;
+    }
+}
+
+// Export for use in other modules
+window.TippingAnalysis = TippingAnalysis;